@@ -1,7 +1,62 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const ApiToken = require('../models/ApiToken');
+const { verifyAccessToken } = require('../utils/tokens');
+const { hasPermission } = require('../utils/permissions');
 
-// Middleware to verify JWT token
+// Actions admins can restrict to users with a verified email address
+const VERIFIED_EMAIL_ACTIONS = ['bookmark', 'submitContent'];
+const EMAIL_VERIFICATION_SETTING = 'emailVerification.requiredFor';
+const TWO_FACTOR_SETTING = 'twoFactor.requiredRoles';
+// How often a session's "last seen" time (or a token's "last used") is written back
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+// Requests allowed while an admin is viewing the app as another user
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Whether the user's role is forced onto 2FA but they have not enrolled yet
+const isTwoFactorSetupRequired = async (user) => {
+  if (user.security?.twoFactorEnabled) {
+    return false;
+  }
+  const requiredRoles = await Setting.getValue(TWO_FACTOR_SETTING, []);
+  return requiredRoles.includes(user.role);
+};
+
+// Authenticate a personal API token; scopes are checked by requireScope
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: ApiToken.hashToken(token) });
+  if (!apiToken || !apiToken.isValid) {
+    return res.status(401).json({ message: 'API token is invalid, expired or revoked' });
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+  if (!user) {
+    return res.status(401).json({ message: 'User not found' });
+  }
+
+  const block = await user.getAccessBlock();
+  if (block) {
+    return res.status(403).json(block);
+  }
+
+  // Not awaited: usage tracking must not slow down or fail the request
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt >= API_TOKEN_TOUCH_INTERVAL_MS) {
+    ApiToken.updateOne(
+      { _id: apiToken._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    ).catch(err => console.error('API token touch error:', err));
+  }
+
+  req.user = user;
+  req.apiToken = apiToken;
+  req.authSession = null;
+  req.impersonator = null;
+  next();
+};
+
+// Middleware to verify JWT token (or personal API token)
 const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -10,27 +65,172 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production');
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(token, req, res, next);
+    }
+
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session has been logged out, revoked or expired
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isValid || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Banned or deactivated accounts lose access immediately
+    const block = await user.getAccessBlock();
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    // Tokens issued before the last password change are no longer trusted
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed recently. Please log in again.' });
+    }
+
+    // An admin viewing as this user must still be allowed to, and may only look
+    let impersonator = null;
+    if (session.impersonator) {
+      impersonator = await User.findById(session.impersonator).select('-password');
+      if (!impersonator || !hasPermission(impersonator.role, 'users.impersonate') || await impersonator.getAccessBlock()) {
+        return res.status(401).json({ message: 'Viewing as this user is no longer allowed' });
+      }
+      if (!IMPERSONATION_SAFE_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          code: 'IMPERSONATION_READ_ONLY',
+          message: 'Changes cannot be made while viewing as another user.'
+        });
+      }
+    }
+
+    // Not awaited: activity tracking must not slow down or fail the request
+    if (Date.now() - session.lastSeenAt >= SESSION_TOUCH_INTERVAL_MS) {
+      Session.updateOne(
+        { _id: session._id },
+        { $set: { lastSeenAt: new Date(), ip: req.ip } }
+      ).catch(err => console.error('Session touch error:', err));
+    }
+
     req.user = user;
+    req.authSession = session;
+    req.impersonator = impersonator;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-// Middleware to check admin role
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Middleware factory to require a scope from API tokens; browser sessions have every scope
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiToken && !req.apiToken.hasScope(scope)) {
+    return res.status(403).json({
+      code: 'INSUFFICIENT_SCOPE',
+      message: `This API token is missing the "${scope}" scope.`
+    });
+  }
+  next();
+};
+
+// Middleware to keep account management (passwords, 2FA, sessions, tokens) to the
+// user's own browser sessions
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      code: 'SESSION_REQUIRED',
+      message: 'This endpoint cannot be used with an API token.'
+    });
+  }
+  if (req.impersonator) {
+    return res.status(403).json({
+      code: 'IMPERSONATION_NOT_ALLOWED',
+      message: 'Account settings are not available while viewing as another user.'
+    });
+  }
+  next();
+};
+
+// Let a privileged request through only if the user's role isn't forced onto 2FA
+// they haven't set up yet
+const requireTwoFactorIfMandated = async (req, res, next) => {
+  try {
+    if (await isTwoFactorSetupRequired(req.user)) {
+      return res.status(403).json({
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Two-factor authentication must be enabled to access admin features.'
+      });
+    }
     next();
-  } else {
-    res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+  } catch (error) {
+    console.error('Two-factor requirement check error:', error);
+    res.status(500).json({ message: 'Failed to check two-factor requirement' });
   }
 };
 
-module.exports = { authenticate, isAdmin };
+// Middleware to check admin role
+const isAdmin = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+  }
+  await requireTwoFactorIfMandated(req, res, next);
+};
+
+// Middleware to check moderator (or admin) role
+const isModerator = async (req, res, next) => {
+  if (!req.user || !['moderator', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied. Moderator privileges required.' });
+  }
+  await requireTwoFactorIfMandated(req, res, next);
+};
+
+// Middleware factory to require a permission granted by the user's role
+const requirePermission = (permission) => async (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      code: 'PERMISSION_DENIED',
+      message: `Access denied. You need the "${permission}" permission.`
+    });
+  }
+  await requireTwoFactorIfMandated(req, res, next);
+};
+
+// Middleware factory to block unverified users from actions admins have restricted
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    if (req.user?.security?.emailVerified) {
+      return next();
+    }
+
+    const requiredFor = await Setting.getValue(EMAIL_VERIFICATION_SETTING, []);
+    if (!requiredFor.includes(action)) {
+      return next();
+    }
+
+    res.status(403).json({
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to use this feature.'
+    });
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({ message: 'Failed to check email verification' });
+  }
+};
+
+module.exports = {
+  authenticate,
+  isAdmin,
+  isModerator,
+  requirePermission,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
+  isTwoFactorSetupRequired,
+  VERIFIED_EMAIL_ACTIONS,
+  EMAIL_VERIFICATION_SETTING,
+  TWO_FACTOR_SETTING
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Personal access tokens for scripts and integrations. Only a hash is stored;
+// the raw token is shown to the user once when it is created.
+const API_TOKEN_PREFIX = 'sep_';
+
+// Scopes a token can be granted. admin:* scopes are only available to roles
+// with admin permissions.
+const API_TOKEN_SCOPES = [
+  'profile:read',
+  'profile:write',
+  'bookmarks:read',
+  'bookmarks:write',
+  'progress:read',
+  'progress:write',
+  'admin:skills:read',
+  'admin:skills:write',
+  'admin:resources:read',
+  'admin:resources:write',
+  'admin:users:read',
+  'admin:users:write',
+  'admin:stats:read',
+  'admin:settings:read',
+  'admin:settings:write',
+  'admin:audit:read'
+];
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_TOKEN_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual to check if the token can still be used
+apiTokenSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Static method to check whether a bearer token looks like an API token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+};
+
+// Static method to hash a raw token for storage/lookup
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new raw token
+apiTokenSchema.statics.generateToken = function() {
+  return `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+// Instance method to check whether the token grants a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Remove the hash from JSON output
+apiTokenSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
+module.exports.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// How long audit entries are kept before MongoDB purges them
+const AUTH_EVENT_RETENTION_DAYS = parseInt(process.env.AUTH_EVENT_RETENTION_DAYS, 10) || 90;
+
+const AUTH_EVENT_TYPES = [
+  'login_success',
+  'login_failure',
+  'token_refresh',
+  'logout',
+  'password_change',
+  'password_reset',
+  'google_link',
+  'github_link',
+  'role_change',
+  'impersonation_start',
+  'impersonation_stop'
+];
+
+// One entry in the authentication audit log. Entries are written once and
+// never updated; failed logins for unknown addresses have no user, only email.
+const authEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: AUTH_EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  // Why a login failed, e.g. 'invalid_password' or 'account_locked'
+  reason: {
+    type: String,
+    default: undefined
+  },
+  // Who made the change when it was not the user themselves (e.g. an admin changing a role)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: undefined
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  // Event-specific details, e.g. the sign-in method or the old and new role
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ event: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUTH_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to list a user's most recent events
+authEventSchema.statics.findRecentForUser = function(userId, limit = 50) {
+  return this.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+module.exports = AuthEvent;
+module.exports.AUTH_EVENT_TYPES = AUTH_EVENT_TYPES;
+module.exports.AUTH_EVENT_RETENTION_DAYS = AUTH_EVENT_RETENTION_DAYS;
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// Same levels as User.learningProgress, in the order a learner moves through them
+const PATH_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const pathModuleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Module title is required'],
+    trim: true,
+    maxlength: [150, 'Module title cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Module description cannot exceed 1000 characters']
+  },
+  // Steps of the module, in order
+  resources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }]
+});
+
+// An ordered route through a skill's resources for one level. Steps unlock one
+// at a time as the learner completes the ones before them.
+const learningPathSchema = new mongoose.Schema({
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: [true, 'Skill reference is required']
+  },
+  level: {
+    type: String,
+    enum: {
+      values: PATH_LEVELS,
+      message: '{VALUE} is not a valid level'
+    },
+    required: [true, 'Level is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Path title is required'],
+    trim: true,
+    maxlength: [150, 'Path title cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Path description cannot exceed 1000 characters']
+  },
+  modules: {
+    type: [pathModuleSchema],
+    validate: {
+      validator: modules => modules.length > 0,
+      message: 'A learning path needs at least one module'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One path per skill and level
+learningPathSchema.index({ skill: 1, level: 1 }, { unique: true });
+
+// Instance method to list every resource ID in the path, in step order
+learningPathSchema.methods.getResourceIds = function() {
+  return this.modules.flatMap(module =>
+    module.resources.map(resource => resource._id || resource)
+  );
+};
+
+// Instance method to describe the path for a learner. Expects populated
+// resources; withdrawn resources are skipped. A step is unlocked once every
+// step before it is completed.
+learningPathSchema.methods.toLearnerView = function(completedResourceIds = []) {
+  const completed = new Set(completedResourceIds.map(id => id.toString()));
+  let previousCompleted = true;
+  let totalSteps = 0;
+  let completedSteps = 0;
+
+  const modules = this.modules.map(module => {
+    const steps = module.resources
+      .filter(resource => resource && resource.isActive && resource.verified && !resource.deletedAt)
+      .map(resource => {
+        const isCompleted = completed.has(resource._id.toString());
+        const step = {
+          resource: {
+            _id: resource._id,
+            title: resource.title,
+            description: resource.description,
+            url: resource.url,
+            type: resource.type,
+            learningType: resource.learningType,
+            duration: resource.duration
+          },
+          completed: isCompleted,
+          unlocked: previousCompleted
+        };
+        previousCompleted = previousCompleted && isCompleted;
+        totalSteps++;
+        if (isCompleted) completedSteps++;
+        return step;
+      });
+
+    return {
+      _id: module._id,
+      title: module.title,
+      description: module.description,
+      steps
+    };
+  });
+
+  return {
+    _id: this._id,
+    skill: this.skill,
+    level: this.level,
+    title: this.title,
+    description: this.description,
+    modules,
+    totalSteps,
+    completedSteps,
+    progressPercentage: totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0
+  };
+};
+
+// Static method to list a skill's active paths from beginner to expert
+learningPathSchema.statics.findForSkill = async function(skillId) {
+  const paths = await this.find({ skill: skillId, isActive: true })
+    .populate('modules.resources', 'title description url type learningType duration isActive verified deletedAt');
+  return paths.sort((a, b) => PATH_LEVELS.indexOf(a.level) - PATH_LEVELS.indexOf(b.level));
+};
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
+module.exports.PATH_LEVELS = PATH_LEVELS;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Records are kept for a day after they are sent so the per-address rate limit
+// can count them, even after the link itself has expired
+const MAGIC_LINK_RECORD_TTL_SECONDS = 24 * 60 * 60;
+
+// A single-use sign-in link sent by email. The address may not belong to an
+// account yet: using the link then creates one.
+const magicLinkSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Name for the account created if the address is new
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Where the link was requested from
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+magicLinkSchema.index({ email: 1, createdAt: -1 });
+magicLinkSchema.index({ createdAt: 1 }, { expireAfterSeconds: MAGIC_LINK_RECORD_TTL_SECONDS });
+
+// Static method to hash a raw link token for storage/lookup
+magicLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new raw link token
+magicLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Static method to count the links sent to an address since a given time
+magicLinkSchema.statics.countSentSince = function(email, since) {
+  return this.countDocuments({ email, createdAt: { $gte: since } });
+};
+
+// Static method to use up a link. The check and the update are one atomic
+// operation, so a link can only ever be exchanged once.
+magicLinkSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
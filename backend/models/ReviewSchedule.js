@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { getDayKey, addDays } = require('../utils/dates');
+
+// SM-2 spaced repetition. Learners rate how well they recalled a resource from
+// 0 (blackout) to 5 (perfect); 3 or more counts as remembered.
+const MIN_REVIEW_QUALITY = 0;
+const MAX_REVIEW_QUALITY = 5;
+const PASSING_REVIEW_QUALITY = 3;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+// Days from completing a resource to its first review, and after the first
+// review that follows
+const FIRST_REVIEW_INTERVAL_DAYS = 1;
+const SECOND_REVIEW_INTERVAL_DAYS = 6;
+
+// When a user should next revisit a resource they completed. Due dates are
+// calendar days in the user's time zone, so a review is due all day.
+const reviewScheduleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: [true, 'Resource reference is required']
+  },
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: [true, 'Skill reference is required']
+  },
+  // 'YYYY-MM-DD' in the user's time zone
+  dueDay: {
+    type: String,
+    required: true
+  },
+  intervalDays: {
+    type: Number,
+    default: FIRST_REVIEW_INTERVAL_DAYS,
+    min: 1
+  },
+  easeFactor: {
+    type: Number,
+    default: DEFAULT_EASE_FACTOR,
+    min: MIN_EASE_FACTOR
+  },
+  // Successful recalls in a row. Completing the resource, or going over it again
+  // after forgetting it, counts as the first.
+  repetitions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+  lastQuality: {
+    type: Number,
+    min: MIN_REVIEW_QUALITY,
+    max: MAX_REVIEW_QUALITY,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewScheduleSchema.index({ user: 1, resource: 1 }, { unique: true });
+reviewScheduleSchema.index({ user: 1, dueDay: 1 });
+
+// Instance method to check whether the review is due on a given day
+reviewScheduleSchema.methods.isDue = function(today) {
+  return this.dueDay <= today;
+};
+
+// Instance method to apply a self-rated review (SM-2) and move the due day.
+// Forgetting starts the intervals again, with that review as the first
+// repetition; the ease factor changes either way. Does not save.
+reviewScheduleSchema.methods.recordReview = function(quality, today) {
+  if (quality >= PASSING_REVIEW_QUALITY) {
+    if (this.repetitions === 0) {
+      this.intervalDays = FIRST_REVIEW_INTERVAL_DAYS;
+    } else if (this.repetitions === 1) {
+      this.intervalDays = SECOND_REVIEW_INTERVAL_DAYS;
+    } else {
+      this.intervalDays = Math.round(this.intervalDays * this.easeFactor);
+    }
+    this.repetitions += 1;
+  } else {
+    this.repetitions = 1;
+    this.intervalDays = FIRST_REVIEW_INTERVAL_DAYS;
+  }
+
+  const miss = MAX_REVIEW_QUALITY - quality;
+  this.easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    Math.round((this.easeFactor + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100
+  );
+
+  this.dueDay = addDays(today, this.intervalDays);
+  this.reviewCount += 1;
+  this.lastReviewedAt = new Date();
+  this.lastQuality = quality;
+  return this;
+};
+
+// Instance method to shape the review for API responses
+reviewScheduleSchema.methods.toSummary = function() {
+  const resource = this.populated('resource')
+    ? {
+        _id: this.resource._id,
+        title: this.resource.title,
+        description: this.resource.description,
+        url: this.resource.url,
+        type: this.resource.type,
+        learningType: this.resource.learningType,
+        duration: this.resource.duration,
+        skill: this.resource.skill
+      }
+    : this.resource;
+
+  return {
+    _id: this._id,
+    resource,
+    dueDay: this.dueDay,
+    intervalDays: this.intervalDays,
+    easeFactor: this.easeFactor,
+    repetitions: this.repetitions,
+    reviewCount: this.reviewCount,
+    lastReviewedAt: this.lastReviewedAt,
+    lastQuality: this.lastQuality
+  };
+};
+
+// Static method to start reviews for a resource the user just completed.
+// Completing it counts as the first successful recall, so remembering it at the
+// first review moves on to the second interval. Completing it again keeps the
+// existing schedule.
+reviewScheduleSchema.statics.scheduleForCompletion = function(userId, resource, timezone, now = new Date()) {
+  return this.updateOne(
+    { user: userId, resource: resource._id },
+    {
+      $setOnInsert: {
+        skill: resource.skill,
+        repetitions: 1,
+        dueDay: addDays(getDayKey(now, timezone), FIRST_REVIEW_INTERVAL_DAYS)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to stop reviews for a resource the user no longer has completed
+reviewScheduleSchema.statics.removeForResource = function(userId, resourceId) {
+  return this.deleteOne({ user: userId, resource: resourceId });
+};
+
+// Static method to list the user's due reviews, most overdue first. Reviews of
+// resources that have since been withdrawn are left out.
+reviewScheduleSchema.statics.findDue = async function(userId, today) {
+  const reviews = await this.find({ user: userId, dueDay: { $lte: today } })
+    .sort({ dueDay: 1, createdAt: 1 })
+    .populate({
+      path: 'resource',
+      select: 'title description url type learningType duration skill isActive verified deletedAt',
+      populate: { path: 'skill', select: 'name icon color' }
+    });
+
+  return reviews.filter(review =>
+    review.resource && review.resource.isActive && review.resource.verified && !review.resource.deletedAt
+  );
+};
+
+const ReviewSchedule = mongoose.model('ReviewSchedule', reviewScheduleSchema);
+
+module.exports = ReviewSchedule;
+module.exports.MIN_REVIEW_QUALITY = MIN_REVIEW_QUALITY;
+module.exports.MAX_REVIEW_QUALITY = MAX_REVIEW_QUALITY;
+module.exports.PASSING_REVIEW_QUALITY = PASSING_REVIEW_QUALITY;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Rotated-out refresh token hashes kept per session for reuse detection; older
+// ones are forgotten, so replaying them is only an invalid token
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+// A session is one refresh-token family: every rotation replaces the current
+// token hash and remembers the old one so a replayed token can be detected.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens that have already been rotated out, oldest first
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // When the refresh token was last rotated
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'token_reuse', 'password_change', 'admin', 'user_revoked', 'account_deleted', 'impersonation_ended', 'account_claimed'],
+    default: undefined
+  },
+  // Set when an admin is viewing the app as this user. Such sessions are
+  // read-only, cannot be refreshed and are hidden from the user's session list.
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Where the session was started from, shown on the Security page
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB purge expired sessions
+
+// Virtual to check if the session can still be used
+sessionSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to hash a raw refresh token for storage/lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new raw refresh token
+sessionSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Instance method to revoke this session (and therefore its whole token family)
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Static method to list a user's sessions that can still be used
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    impersonator: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to end an admin's "view as user" sessions for a user
+sessionSchema.statics.revokeImpersonation = function(userId, impersonatorId) {
+  return this.updateMany(
+    { user: userId, impersonator: impersonatorId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'impersonation_ended' } }
+  );
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
+module.exports.MAX_PREVIOUS_TOKEN_HASHES = MAX_PREVIOUS_TOKEN_HASHES;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Levels a prerequisite can ask for, lowest first
+const PREREQUISITE_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
 const skillSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -100,7 +103,7 @@ const skillSchema = new mongoose.Schema({
     },
     level: {
       type: String,
-      enum: ['beginner', 'intermediate', 'advanced', 'expert']
+      enum: PREREQUISITE_LEVELS
     }
   }],
   // Statistics
@@ -330,6 +333,130 @@ skillSchema.statics.searchSkills = function(query) {
   });
 };
 
+// Static method to find the cycle that giving a skill these prerequisites would
+// create. Follows prerequisites outwards from them; getting back to the skill
+// means a cycle. Returns the skill IDs along it, starting and ending with the
+// skill, or null when there is none.
+skillSchema.statics.findPrerequisiteCycle = async function(skillId, prerequisiteIds) {
+  const target = skillId.toString();
+  // Skill ID -> the skill that requires it, on the way out from the target
+  const reachedFrom = new Map();
+  let frontier = [];
+  for (const id of prerequisiteIds.map(String)) {
+    if (!reachedFrom.has(id)) {
+      reachedFrom.set(id, target);
+      frontier.push(id);
+    }
+  }
+
+  while (frontier.length > 0 && !reachedFrom.has(target)) {
+    const skills = await this.find({ _id: { $in: frontier } }).select('prerequisites.skill').lean();
+    frontier = [];
+    for (const skill of skills) {
+      for (const prerequisite of skill.prerequisites || []) {
+        const id = prerequisite.skill?.toString();
+        if (id && !reachedFrom.has(id)) {
+          reachedFrom.set(id, skill._id.toString());
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  if (!reachedFrom.has(target)) return null;
+
+  const cycle = [target];
+  for (let id = reachedFrom.get(target); id !== target; id = reachedFrom.get(id)) {
+    cycle.unshift(id);
+  }
+  cycle.unshift(target);
+  return cycle;
+};
+
+// Static method to build a skill's roadmap: the skill and every active skill it
+// needs first, directly or through other prerequisites. Each skill comes after
+// all of its prerequisites; depth counts the longest chain of prerequisites below it.
+skillSchema.statics.getRoadmap = async function(skillId) {
+  const nodes = new Map();
+  const requested = new Set([skillId.toString()]);
+  let frontier = [skillId.toString()];
+
+  while (frontier.length > 0) {
+    const skills = await this.find({ _id: { $in: frontier }, isActive: true, deletedAt: null })
+      .select('name icon color category prerequisites')
+      .lean();
+    frontier = [];
+    for (const skill of skills) {
+      nodes.set(skill._id.toString(), skill);
+      for (const prerequisite of skill.prerequisites || []) {
+        const id = prerequisite.skill?.toString();
+        if (id && !requested.has(id)) {
+          requested.add(id);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  // Edges between skills that made it onto the roadmap, and the highest level
+  // any skill asks of each prerequisite
+  const prerequisitesOf = new Map();
+  const requiredLevel = new Map();
+  for (const [id, skill] of nodes) {
+    const ids = [];
+    for (const prerequisite of skill.prerequisites || []) {
+      const prerequisiteId = prerequisite.skill?.toString();
+      if (!prerequisiteId || !nodes.has(prerequisiteId) || ids.includes(prerequisiteId)) continue;
+      ids.push(prerequisiteId);
+
+      const level = prerequisite.level || PREREQUISITE_LEVELS[0];
+      const current = requiredLevel.get(prerequisiteId);
+      if (!current || PREREQUISITE_LEVELS.indexOf(level) > PREREQUISITE_LEVELS.indexOf(current)) {
+        requiredLevel.set(prerequisiteId, level);
+      }
+    }
+    prerequisitesOf.set(id, ids);
+  }
+
+  // Kahn's algorithm, taking ready skills alphabetically so the order is stable
+  const remaining = new Map([...prerequisitesOf].map(([id, ids]) => [id, ids.length]));
+  const depth = new Map();
+  const ordered = [];
+  const byName = (a, b) => nodes.get(a).name.localeCompare(nodes.get(b).name);
+  let ready = [...remaining].filter(([, count]) => count === 0).map(([id]) => id).sort(byName);
+
+  while (ready.length > 0) {
+    const id = ready.shift();
+    remaining.delete(id);
+    ordered.push(id);
+    depth.set(id, Math.max(-1, ...prerequisitesOf.get(id).map(prerequisiteId => depth.get(prerequisiteId))) + 1);
+
+    for (const [dependentId] of remaining) {
+      if (prerequisitesOf.get(dependentId).includes(id)) {
+        remaining.set(dependentId, remaining.get(dependentId) - 1);
+        if (remaining.get(dependentId) === 0) ready.push(dependentId);
+      }
+    }
+    ready.sort(byName);
+  }
+
+  // Cycles saved before they were rejected cannot be ordered; list them last
+  for (const id of [...remaining.keys()].sort(byName)) {
+    ordered.push(id);
+    depth.set(id, Math.max(0, ...[...depth.values()].map(value => value + 1)));
+  }
+
+  return ordered.map(id => {
+    const { _id, name, icon, color, category } = nodes.get(id);
+    return {
+      skill: { _id, name, icon, color, category },
+      prerequisites: prerequisitesOf.get(id),
+      requiredLevel: requiredLevel.get(id) || null,
+      depth: depth.get(id)
+    };
+  });
+};
+
 // Instance method to update statistics
 skillSchema.methods.updateStatistics = async function() {
   const Resource = mongoose.model('Resource');
@@ -390,4 +517,5 @@ skillSchema.post('remove', async function(doc) {
   );
 });
 
-module.exports = mongoose.model('Skill', skillSchema);
\ No newline at end of file
+module.exports = mongoose.model('Skill', skillSchema);
+module.exports.PREREQUISITE_LEVELS = PREREQUISITE_LEVELS;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { getDayKey, addDays, getWeekStartKey } = require('../utils/dates');
+
+// Clients send a heartbeat about once a minute while the learner is studying.
+// A session that has not heard from its client for longer than the timeout
+// (e.g. the tab was closed) ends at its last heartbeat.
+const STUDY_HEARTBEAT_INTERVAL_SECONDS = 60;
+const STUDY_SESSION_TIMEOUT_SECONDS = parseInt(process.env.STUDY_SESSION_TIMEOUT_SECONDS, 10) || 150;
+
+const STUDY_SESSION_END_REASONS = ['ended', 'timeout', 'replaced'];
+
+// Time a user spends studying one resource. Time is credited on each heartbeat,
+// so a session that times out keeps everything up to its last heartbeat.
+const studySessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: [true, 'Resource reference is required']
+  },
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: [true, 'Skill reference is required']
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endReason: {
+    type: String,
+    enum: STUDY_SESSION_END_REASONS,
+    default: undefined
+  },
+  // Seconds studied, not counting gaps longer than the timeout
+  activeSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Whole minutes already added to the user's totals
+  creditedMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  // Two heartbeats saved at once must not both credit the same time
+  optimisticConcurrency: true
+});
+
+// Indexes
+studySessionSchema.index({ user: 1, endedAt: 1 });
+studySessionSchema.index({ user: 1, startedAt: -1 });
+
+// Instance method to check whether the client has stopped sending heartbeats
+studySessionSchema.methods.isTimedOut = function(now = new Date()) {
+  return !this.endedAt &&
+    now - this.lastHeartbeatAt > STUDY_SESSION_TIMEOUT_SECONDS * 1000;
+};
+
+// Instance method to count the time since the last heartbeat. Returns the whole
+// minutes that have not yet been credited to the user. Does not save.
+studySessionSchema.methods.recordHeartbeat = function(now = new Date()) {
+  const elapsed = Math.max(0, Math.min(now - this.lastHeartbeatAt, STUDY_SESSION_TIMEOUT_SECONDS * 1000));
+  this.activeSeconds += Math.round(elapsed / 1000);
+  this.lastHeartbeatAt = now;
+
+  const minutes = Math.floor(this.activeSeconds / 60) - this.creditedMinutes;
+  this.creditedMinutes += minutes;
+  return minutes;
+};
+
+// Instance method to end the session. A timed out session ends at its last
+// heartbeat and gains no more time. Returns the minutes still to be credited.
+// Does not save.
+studySessionSchema.methods.finish = function(reason = 'ended', now = new Date()) {
+  let minutes = 0;
+  if (reason === 'timeout' || this.isTimedOut(now)) {
+    reason = 'timeout';
+    this.endedAt = this.lastHeartbeatAt;
+  } else {
+    minutes = this.recordHeartbeat(now);
+    this.endedAt = now;
+  }
+  this.endReason = reason;
+  return minutes;
+};
+
+// Instance method to shape the session for API responses
+studySessionSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    resource: this.resource,
+    skill: this.skill,
+    startedAt: this.startedAt,
+    lastHeartbeatAt: this.lastHeartbeatAt,
+    endedAt: this.endedAt,
+    endReason: this.endReason,
+    activeSeconds: this.activeSeconds,
+    minutes: this.creditedMinutes
+  };
+};
+
+// Static method to close a user's sessions whose clients went away. Their time
+// was credited with each heartbeat, so nothing is added to the user's totals.
+studySessionSchema.statics.closeTimedOut = function(userId, now = new Date()) {
+  return this.updateMany(
+    {
+      user: userId,
+      endedAt: null,
+      lastHeartbeatAt: { $lt: new Date(now - STUDY_SESSION_TIMEOUT_SECONDS * 1000) }
+    },
+    [{ $set: { endedAt: '$lastHeartbeatAt', endReason: 'timeout' } }]
+  );
+};
+
+// Static method to add up a user's study minutes per day for the last `days`
+// days and per week (starting Monday) for the last `weeks` weeks, counting days
+// in the given time zone. A session counts towards the day it started on.
+studySessionSchema.statics.getTimeBreakdown = async function(userId, { timezone = 'UTC', days = 7, weeks = 8, now = new Date() } = {}) {
+  const today = getDayKey(now, timezone);
+  const firstDay = addDays(today, -(days - 1));
+  const firstWeek = addDays(getWeekStartKey(today), -7 * (weeks - 1));
+  const earliest = firstDay < firstWeek ? firstDay : firstWeek;
+
+  // A day in any time zone starts at most 14 hours either side of UTC midnight
+  const sessions = await this.find({
+    user: userId,
+    startedAt: { $gte: new Date(Date.parse(`${earliest}T00:00:00Z`) - 14 * 60 * 60 * 1000) },
+    creditedMinutes: { $gt: 0 }
+  }).select('startedAt creditedMinutes').lean();
+
+  const minutesByDay = new Map();
+  const minutesByWeek = new Map();
+  for (const session of sessions) {
+    const day = getDayKey(session.startedAt, timezone);
+    if (day < earliest) continue;
+    const week = getWeekStartKey(day);
+    minutesByDay.set(day, (minutesByDay.get(day) || 0) + session.creditedMinutes);
+    minutesByWeek.set(week, (minutesByWeek.get(week) || 0) + session.creditedMinutes);
+  }
+
+  return {
+    daily: Array.from({ length: days }, (_, index) => {
+      const date = addDays(firstDay, index);
+      return { date, minutes: minutesByDay.get(date) || 0 };
+    }),
+    weekly: Array.from({ length: weeks }, (_, index) => {
+      const weekStart = addDays(firstWeek, index * 7);
+      return { weekStart, minutes: minutesByWeek.get(weekStart) || 0 };
+    })
+  };
+};
+
+const StudySession = mongoose.model('StudySession', studySessionSchema);
+
+module.exports = StudySession;
+module.exports.STUDY_HEARTBEAT_INTERVAL_SECONDS = STUDY_HEARTBEAT_INTERVAL_SECONDS;
+module.exports.STUDY_SESSION_TIMEOUT_SECONDS = STUDY_SESSION_TIMEOUT_SECONDS;
+module.exports.STUDY_SESSION_END_REASONS = STUDY_SESSION_END_REASONS;
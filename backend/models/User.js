@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { isValidTimeZone, getDayKey, daysBetween } = require('../utils/dates');
+const { MIN_PASSWORD_LENGTH, PASSWORD_HISTORY_SIZE } = require('../utils/passwordPolicy');
+const { removeAvatar } = require('../utils/avatarStorage');
+
+// Failed logins allowed before the account is locked, and how long the lock lasts
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 120;
+
+// A streak freeze is earned every STREAK_FREEZE_EARN_DAYS days of streak, up to
+// MAX_STREAK_FREEZES held at once. Each freeze covers one missed day.
+const STREAK_FREEZE_EARN_DAYS = parseInt(process.env.STREAK_FREEZE_EARN_DAYS, 10) || 7;
+const MAX_STREAK_FREEZES = parseInt(process.env.MAX_STREAK_FREEZES, 10) || 2;
+
+// Days a self-deleted account can still be restored before it is anonymised
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,11 +42,17 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() {
-      return !this.googleId && !this.githubId; // Password not required if using OAuth
+      // Password not required if using OAuth or email sign-in links
+      return !this.googleId && !this.githubId && !this.passwordless;
     },
-    minlength: [6, 'Password must be at least 6 characters long'],
+    minlength: [MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`],
     select: false // Don't include password in queries by default
   },
+  // Accounts created from an email sign-in link have no password until the user sets one
+  passwordless: {
+    type: Boolean,
+    default: false
+  },
   // OAuth providers
   googleId: {
     type: String,
@@ -158,6 +179,11 @@ const userSchema = new mongoose.Schema({
       min: 0,
       max: 100,
       default: 0
+    },
+    timeSpent: {
+      type: Number, // in minutes
+      default: 0,
+      min: 0
     }
   }],
   // Achievements and gamification
@@ -209,6 +235,15 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['comfortable', 'compact'],
       default: 'comfortable'
+    },
+    // IANA time zone used to decide where the user's days start and end
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: '{VALUE} is not a valid time zone'
+      }
     }
   },
   // Activity tracking
@@ -229,6 +264,16 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Last day ('YYYY-MM-DD' in the user's time zone) that counted towards the streak
+    lastActiveDay: {
+      type: String,
+      default: null
+    },
+    streakFreezes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     totalTimeSpent: {
       type: Number, // in minutes
       default: 0
@@ -247,7 +292,13 @@ const userSchema = new mongoose.Schema({
     passwordResetToken: String,
     passwordResetExpires: Date,
     passwordChangedAt: Date,
+    // bcrypt hashes of the most recent passwords, newest first, so they cannot be reused
+    passwordHistory: {
+      type: [String],
+      select: false
+    },
     emailVerificationToken: String,
+    emailVerificationExpires: Date,
     emailVerified: {
       type: Boolean,
       default: false
@@ -261,6 +312,16 @@ const userSchema = new mongoose.Schema({
       type: String,
       select: false
     },
+    // SHA-256 hashes of unused one-time backup codes
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted TOTP code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false
+    },
     loginAttempts: {
       type: Number,
       default: 0,
@@ -291,6 +352,15 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Self-service deletion: the account is anonymised once this date passes
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
   // Timestamps
   createdAt: {
     type: Date,
@@ -310,6 +380,9 @@ const userSchema = new mongoose.Schema({
       delete ret.security.passwordResetToken;
       delete ret.security.emailVerificationToken;
       delete ret.security.twoFactorSecret;
+      delete ret.security.twoFactorBackupCodes;
+      delete ret.security.twoFactorLastUsedStep;
+      delete ret.security.passwordHistory;
       return ret;
     }
   },
@@ -344,6 +417,12 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.security.lockUntil && this.security.lockUntil > Date.now());
 });
 
+// Virtual to check if the account is deleted but can still be restored
+userSchema.virtual('isDeletionPending').get(function() {
+  return !!(this.deletedAt && !this.anonymizedAt &&
+    this.deletionScheduledFor && this.deletionScheduledFor > Date.now());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -355,6 +434,12 @@ userSchema.pre('save', async function(next) {
   try {
     // Hash password with cost of 12
     this.password = await bcrypt.hash(this.password, 12);
+
+    // Only update the history when it was loaded, so it is never overwritten with a partial list
+    if (this.isNew || this.isSelected('security.passwordHistory')) {
+      this.security.passwordHistory = [this.password, ...(this.security.passwordHistory || [])]
+        .slice(0, PASSWORD_HISTORY_SIZE);
+    }
     
     // Update passwordChangedAt
     if (!this.isNew) {
@@ -379,6 +464,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check a new password against the current and recent
+// passwords. Needs +password and +security.passwordHistory selected.
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const hashes = new Set([this.password, ...(this.security.passwordHistory || [])].filter(Boolean));
+  for (const hash of [...hashes].slice(0, PASSWORD_HISTORY_SIZE)) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
 // Instance method to check if password changed after JWT was issued
 userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   if (this.security.passwordChangedAt) {
@@ -414,6 +509,8 @@ userSchema.methods.createEmailVerificationToken = function() {
     .update(verificationToken)
     .digest('hex');
   
+  this.security.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  
   return verificationToken;
 };
 
@@ -456,6 +553,123 @@ userSchema.methods.updateBookmarkProgress = async function(resourceId, progress)
   return this;
 };
 
+// Instance method to find the progress entry for a skill
+userSchema.methods.getSkillProgress = function(skillId) {
+  return this.learningProgress.find(
+    p => p.skill && p.skill.toString() === skillId.toString()
+  );
+};
+
+// Instance method to start tracking progress on a skill. Returns the entry and
+// whether it is new; enrolling again only refreshes lastAccessedAt.
+userSchema.methods.enrollInSkill = async function(skillId) {
+  let progress = this.getSkillProgress(skillId);
+  const enrolled = !progress;
+  if (enrolled) {
+    this.learningProgress.push({ skill: skillId });
+    progress = this.getSkillProgress(skillId);
+  }
+  progress.lastAccessedAt = Date.now();
+
+  const totals = await this.recalculateProgress([skillId]);
+  await this.save();
+  return { progress, enrolled, totalResources: totals.get(skillId.toString()) || 0 };
+};
+
+// Instance method to recalculate progress percentages. Only the skill's active,
+// verified resources count, so the percentage follows the catalogue as it changes.
+// Returns the number of such resources per skill ID. Does not save.
+userSchema.methods.recalculateProgress = async function(skillIds = null) {
+  const Resource = mongoose.model('Resource');
+  const entries = skillIds
+    ? skillIds.map(id => this.getSkillProgress(id)).filter(Boolean)
+    : this.learningProgress;
+
+  const resources = await Resource.find({
+    skill: { $in: entries.map(entry => entry.skill) },
+    isActive: true,
+    verified: true,
+    deletedAt: null
+  }).select('_id skill').lean();
+
+  const resourceIdsBySkill = new Map();
+  for (const resource of resources) {
+    const key = resource.skill.toString();
+    if (!resourceIdsBySkill.has(key)) resourceIdsBySkill.set(key, new Set());
+    resourceIdsBySkill.get(key).add(resource._id.toString());
+  }
+
+  const totals = new Map();
+  for (const entry of entries) {
+    const key = entry.skill.toString();
+    const available = resourceIdsBySkill.get(key) || new Set();
+    const completed = entry.completedResources.filter(id => available.has(id.toString())).length;
+    entry.progressPercentage = available.size > 0 ? Math.round((completed / available.size) * 100) : 0;
+    totals.set(key, available.size);
+  }
+  return totals;
+};
+
+// Instance method to mark a resource as completed or not. Completing a resource
+// enrolls the user in its skill. activity.resourcesCompleted only changes when
+// the resource's state does.
+userSchema.methods.setResourceCompleted = async function(resource, completed) {
+  let progress = this.getSkillProgress(resource.skill);
+  if (!progress) {
+    if (!completed) return { progress: null, changed: false };
+    this.learningProgress.push({ skill: resource.skill });
+    progress = this.getSkillProgress(resource.skill);
+  }
+
+  const wasCompleted = progress.completedResources.some(id => id.toString() === resource._id.toString());
+  const changed = wasCompleted !== completed;
+  if (changed) {
+    if (completed) {
+      progress.completedResources.push(resource._id);
+    } else {
+      progress.completedResources = progress.completedResources.filter(
+        id => id.toString() !== resource._id.toString()
+      );
+    }
+    this.activity.resourcesCompleted = Math.max(0, (this.activity.resourcesCompleted || 0) + (completed ? 1 : -1));
+  }
+  progress.lastAccessedAt = Date.now();
+
+  const totals = await this.recalculateProgress([resource.skill]);
+  await this.save();
+  return { progress, changed, totalResources: totals.get(resource.skill.toString()) || 0 };
+};
+
+// Static method to add study time to a user's total and to the skill's
+// progress entry, enrolling the user in the skill if needed. Uses atomic
+// updates so frequent heartbeats never overwrite other changes to the user.
+userSchema.statics.addStudyTime = async function(userId, skillId, minutes) {
+  if (minutes <= 0) return;
+  const now = Date.now();
+
+  const addToEntry = () => this.updateOne(
+    { _id: userId, 'learningProgress.skill': skillId },
+    {
+      $inc: { 'activity.totalTimeSpent': minutes, 'learningProgress.$.timeSpent': minutes },
+      $set: { 'learningProgress.$.lastAccessedAt': now }
+    }
+  );
+
+  if ((await addToEntry()).matchedCount > 0) return;
+
+  const enrolled = await this.updateOne(
+    { _id: userId, 'learningProgress.skill': { $ne: skillId } },
+    {
+      $inc: { 'activity.totalTimeSpent': minutes },
+      $push: { learningProgress: { skill: skillId, timeSpent: minutes, startedAt: now, lastAccessedAt: now } }
+    }
+  );
+  // Another request enrolled the user in the meantime
+  if (enrolled.matchedCount === 0) {
+    await addToEntry();
+  }
+};
+
 // Instance method to add achievement
 userSchema.methods.addAchievement = async function(type, metadata = {}) {
   const exists = this.achievements.find(a => a.type === type);
@@ -488,45 +702,107 @@ userSchema.methods.addAchievement = async function(type, metadata = {}) {
 };
 
 // Instance method to update login activity
-userSchema.methods.updateLoginActivity = async function() {
+// Streaks count calendar days in the user's time zone; missed days are covered
+// by streak freezes when enough are held. Token refreshes keep the streak going
+// without counting as a new login.
+userSchema.methods.updateLoginActivity = async function({ timezone, countLogin = true } = {}) {
   const now = new Date();
-  const lastLogin = this.activity.lastLogin;
-  
+  if (isValidTimeZone(timezone)) {
+    this.preferences.timezone = timezone;
+  }
+
+  const today = getDayKey(now, this.preferences.timezone);
+  const lastActiveDay = this.activity.lastActiveDay;
+  const gap = lastActiveDay ? daysBetween(lastActiveDay, today) : null;
+  const isNewDay = gap === null || gap > 0;
+
+  // Nothing to record for a refresh on a day that already counted
+  if (!countLogin && !isNewDay) {
+    return this;
+  }
+
   // Update streak
-  if (lastLogin) {
-    const hoursSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60);
-    
-    if (hoursSinceLastLogin < 48) { // Within 2 days
-      this.activity.currentStreak += 1;
-      if (this.activity.currentStreak > this.activity.longestStreak) {
-        this.activity.longestStreak = this.activity.currentStreak;
-      }
-    } else {
-      this.activity.currentStreak = 1;
-    }
-  } else {
+  if (gap === 1) {
+    this.activity.currentStreak += 1;
+  } else if (gap > 1 && gap - 1 <= this.activity.streakFreezes) {
+    this.activity.streakFreezes -= gap - 1;
+    this.activity.currentStreak += 1;
+  } else if (isNewDay) {
     this.activity.currentStreak = 1;
   }
-  
-  this.activity.lastLogin = now;
-  this.activity.loginCount += 1;
-  
+
+  if (isNewDay) {
+    this.activity.lastActiveDay = today;
+    if (this.activity.currentStreak > this.activity.longestStreak) {
+      this.activity.longestStreak = this.activity.currentStreak;
+    }
+    if (this.activity.currentStreak % STREAK_FREEZE_EARN_DAYS === 0 &&
+        this.activity.streakFreezes < MAX_STREAK_FREEZES) {
+      this.activity.streakFreezes += 1;
+    }
+  }
+
+  if (countLogin) {
+    this.activity.lastLogin = now;
+    this.activity.loginCount += 1;
+  }
+
   // Check for streak achievements
-  if (this.activity.currentStreak === 7) {
+  if (this.activity.currentStreak >= 7) {
     await this.addAchievement('streak_7days');
   }
-  if (this.activity.currentStreak === 30) {
+  if (this.activity.currentStreak >= 30) {
     await this.addAchievement('streak_30days');
   }
-  
+
   await this.save();
   return this;
 };
 
+// Instance method to get the streak as of now. A streak whose missed days
+// can no longer be covered by freezes reads as 0 until the next sign-in.
+userSchema.methods.getStreak = function(now = new Date()) {
+  const { currentStreak, longestStreak, streakFreezes, lastActiveDay } = this.activity;
+  const gap = lastActiveDay
+    ? daysBetween(lastActiveDay, getDayKey(now, this.preferences?.timezone))
+    : null;
+  const isBroken = gap === null || gap - 1 > streakFreezes;
+
+  return {
+    current: isBroken ? 0 : currentStreak,
+    longest: longestStreak,
+    freezes: streakFreezes,
+    maxFreezes: MAX_STREAK_FREEZES,
+    activeToday: gap !== null && gap <= 0
+  };
+};
+
+// Instance method to get preferences as a plain object, defaults filled in
+userSchema.methods.getPreferences = function() {
+  const { learningStyle, preferredLanguages, emailNotifications, theme, displayDensity, timezone } = this.preferences;
+
+  return {
+    learningStyle,
+    preferredLanguages: [...preferredLanguages],
+    emailNotifications: {
+      newResources: emailNotifications.newResources,
+      weeklyDigest: emailNotifications.weeklyDigest,
+      achievements: emailNotifications.achievements,
+      recommendations: emailNotifications.recommendations
+    },
+    theme,
+    displayDensity,
+    timezone
+  };
+};
+
 // Instance method to increment failed login attempts
+// The in-memory document is updated too, so callers can check isLocked afterwards
 userSchema.methods.incLoginAttempts = async function() {
   // If we have a previous lock that has expired, restart at 1
   if (this.security.lockUntil && this.security.lockUntil < Date.now()) {
+    this.security.loginAttempts = 1;
+    this.security.lockUntil = undefined;
     return await this.updateOne({
       $set: { 'security.loginAttempts': 1 },
       $unset: { 'security.lockUntil': 1 }
@@ -535,26 +811,133 @@ userSchema.methods.incLoginAttempts = async function() {
   
   // Otherwise we're incrementing
   const updates = { $inc: { 'security.loginAttempts': 1 } };
+  const attempts = (this.security.loginAttempts || 0) + 1;
   
-  // Lock the account after 5 failed attempts for 2 hours
-  const maxAttempts = 5;
-  const lockTime = 2 * 60 * 60 * 1000; // 2 hours
-  
-  if (this.security.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
-    updates.$set = { 'security.lockUntil': Date.now() + lockTime };
+  // Lock the account once the configured number of attempts is reached
+  if (attempts >= MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+    const lockUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    updates.$set = { 'security.lockUntil': lockUntil };
+    this.security.lockUntil = lockUntil;
   }
+  this.security.loginAttempts = attempts;
   
   return await this.updateOne(updates);
 };
 
 // Instance method to reset login attempts
 userSchema.methods.resetLoginAttempts = async function() {
+  this.security.loginAttempts = 0;
+  this.security.lockUntil = undefined;
   return await this.updateOne({
     $set: { 'security.loginAttempts': 0 },
     $unset: { 'security.lockUntil': 1 }
   });
 };
 
+// Instance method to check whether the account may sign in or use the API.
+// Bans whose bannedUntil has passed are lifted on the spot.
+userSchema.methods.getAccessBlock = async function() {
+  if (this.isDeletionPending) {
+    return {
+      code: 'ACCOUNT_DELETION_PENDING',
+      message: 'This account is scheduled for deletion.',
+      deletionScheduledFor: this.deletionScheduledFor
+    };
+  }
+
+  if (this.deletedAt || !this.isActive) {
+    return {
+      code: 'ACCOUNT_DEACTIVATED',
+      message: 'This account has been deactivated.'
+    };
+  }
+
+  if (this.isBanned) {
+    if (this.bannedUntil && this.bannedUntil <= Date.now()) {
+      this.isBanned = false;
+      this.banReason = null;
+      this.bannedUntil = null;
+      await this.updateOne({
+        $set: { isBanned: false, banReason: null, bannedUntil: null }
+      });
+      return null;
+    }
+
+    return {
+      code: 'ACCOUNT_BANNED',
+      message: this.bannedUntil
+        ? `This account is suspended until ${this.bannedUntil.toISOString()}.`
+        : 'This account has been suspended.',
+      banReason: this.banReason || null,
+      bannedUntil: this.bannedUntil || null
+    };
+  }
+
+  return null;
+};
+
+// Instance method to soft-delete the account, leaving a grace period to restore it
+userSchema.methods.scheduleDeletion = async function() {
+  this.deletedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await this.updateOne({
+    $set: { deletedAt: this.deletedAt, deletionScheduledFor: this.deletionScheduledFor }
+  });
+  return this;
+};
+
+// Instance method to restore an account whose deletion is still pending
+userSchema.methods.cancelDeletion = async function() {
+  this.deletedAt = null;
+  this.deletionScheduledFor = null;
+  await this.updateOne({
+    $set: { deletedAt: null, deletionScheduledFor: null }
+  });
+  return this;
+};
+
+// Instance method to strip everything that identifies the user. The record is
+// kept (deactivated) so aggregate statistics stay consistent. The avatar file,
+// sign-in records and links sent to the old address go too, and audit log
+// entries keep only the event itself.
+userSchema.methods.anonymize = async function() {
+  const email = this.email;
+  await removeAvatar(this.profile && this.profile.avatar);
+  await this.updateOne({
+    $set: {
+      name: 'Deleted user',
+      email: `deleted-${this._id}@deleted.invalid`,
+      profile: {},
+      preferences: {},
+      bookmarks: [],
+      security: {},
+      isActive: false,
+      anonymizedAt: new Date()
+    },
+    $unset: { password: 1, googleId: 1, githubId: 1, banReason: 1 }
+  });
+
+  await mongoose.model('Session').deleteMany({ user: this._id });
+  await mongoose.model('ApiToken').deleteMany({ user: this._id });
+  await mongoose.model('MagicLink').deleteMany({ email });
+  await mongoose.model('AuthEvent').updateMany(
+    { $or: [{ user: this._id }, { email }] },
+    { $set: { email: '', ip: '', userAgent: '' } }
+  );
+};
+
+// Static method to anonymise every account whose deletion grace period has ended
+userSchema.statics.anonymizeDueDeletions = async function() {
+  const users = await this.find({
+    deletionScheduledFor: { $lte: new Date() },
+    anonymizedAt: null
+  });
+  for (const user of users) {
+    await user.anonymize();
+  }
+  return users.length;
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ 
@@ -575,7 +958,7 @@ userSchema.statics.getUserStats = async function(userId) {
   return {
     totalBookmarks: user.bookmarks.length,
     totalAchievements: user.achievements.length,
-    currentStreak: user.activity.currentStreak,
+    currentStreak: user.getStreak().current,
     longestStreak: user.activity.longestStreak,
     points: user.points,
     level: user.level,
@@ -3,11 +3,29 @@ const { body, param, query, validationResult } = require('express-validator');
 const Skill = require('../models/Skill');
 const Resource = require('../models/Resource');
 const User = require('../models/User');
-const { authenticate, isAdmin, isModerator } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const LearningPath = require('../models/LearningPath');
+const {
+  authenticate,
+  requirePermission,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
+  VERIFIED_EMAIL_ACTIONS,
+  EMAIL_VERIFICATION_SETTING,
+  TWO_FACTOR_SETTING
+} = require('../middleware/auth');
 const { verifyUrl, isKnownAuthenticPlatform } = require('../utils/urlVerifier');
+const { hasPermission } = require('../utils/permissions');
+const { recordAuthEvent } = require('../utils/authAudit');
+const { createImpersonationSession } = require('../utils/tokens');
 
 const router = express.Router();
 
+const USER_ROLES = User.schema.path('role').enumValues;
+
 // Validation helper
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -24,6 +42,86 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Prerequisites must be distinct, existing skills that do not lead back to the
+// skill itself. Returns the problem, or null if there is none.
+const findPrerequisiteProblem = async (skillId, prerequisites) => {
+  const prerequisiteIds = prerequisites.map(prerequisite => String(prerequisite.skill));
+  if (new Set(prerequisiteIds).size !== prerequisiteIds.length) {
+    return 'A skill can only be listed once as a prerequisite';
+  }
+
+  const matching = await Skill.countDocuments({ _id: { $in: prerequisiteIds }, deletedAt: null });
+  if (matching !== prerequisiteIds.length) {
+    return 'Every prerequisite must be an existing skill';
+  }
+
+  const cycle = await Skill.findPrerequisiteCycle(skillId, prerequisiteIds);
+  if (cycle) {
+    const skills = await Skill.find({ _id: { $in: cycle } }).select('name').lean();
+    const names = new Map(skills.map(skill => [skill._id.toString(), skill.name]));
+    return `Prerequisites cannot form a cycle: ${cycle.map(id => names.get(id) || 'this skill').join(' → ')}`;
+  }
+  return null;
+};
+
+const prerequisiteValidation = [
+  body('prerequisites')
+    .optional()
+    .isArray().withMessage('Prerequisites must be an array'),
+  body('prerequisites.*.skill')
+    .isMongoId().withMessage('Invalid prerequisite skill ID'),
+  body('prerequisites.*.level')
+    .optional()
+    .isIn(Skill.PREREQUISITE_LEVELS)
+    .withMessage(`Prerequisite level must be one of: ${Skill.PREREQUISITE_LEVELS.join(', ')}`)
+];
+
+// A learning path's steps must be distinct resources of its own skill.
+// Returns the problem, or null if there is none.
+const findPathResourceProblem = async (skillId, modules) => {
+  const resourceIds = modules.flatMap(module => module.resources || []).map(String);
+  if (new Set(resourceIds).size !== resourceIds.length) {
+    return 'A resource can only appear once in a learning path';
+  }
+
+  const matching = await Resource.countDocuments({
+    _id: { $in: resourceIds },
+    skill: skillId,
+    deletedAt: null
+  });
+  if (matching !== resourceIds.length) {
+    return 'Every step must be an existing resource of the path\'s skill';
+  }
+  return null;
+};
+
+// Checks on each module; the routes check the modules array itself
+const learningPathModuleValidation = [
+  body('modules.*.title')
+    .isString().withMessage('Module title is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 150 }).withMessage('Module title must be between 1 and 150 characters'),
+  body('modules.*.description')
+    .optional()
+    .isString().trim()
+    .isLength({ max: 1000 }).withMessage('Module description cannot exceed 1000 characters'),
+  body('modules.*.resources')
+    .isArray().withMessage('Module resources must be an array'),
+  body('modules.*.resources.*')
+    .isMongoId().withMessage('Invalid resource ID')
+];
+
+// Moderation flags may only be set by roles that can verify/hide resources
+const stripUnpermittedResourceFields = (req) => {
+  if (!hasPermission(req.user.role, 'resources.verify')) {
+    delete req.body.verified;
+  }
+  if (!hasPermission(req.user.role, 'resources.hide')) {
+    delete req.body.isActive;
+  }
+};
+
 // All admin routes require authentication
 router.use(authenticate);
 
@@ -31,9 +129,10 @@ router.use(authenticate);
 
 // @route   GET /api/admin/skills
 // @desc    Get all skills (including inactive)
-// @access  Private/Admin/Moderator
+// @access  Private (skills.view)
 router.get('/skills', 
-  isAdmin,
+  requirePermission('skills.view'),
+  requireScope('admin:skills:read'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -103,9 +202,10 @@ router.get('/skills',
 
 // @route   GET /api/admin/skills/:id
 // @desc    Get single skill with full details
-// @access  Private/Admin
+// @access  Private (skills.view)
 router.get('/skills/:id',
-  isAdmin,
+  requirePermission('skills.view'),
+  requireScope('admin:skills:read'),
   [
     param('id').isMongoId().withMessage('Invalid skill ID')
   ],
@@ -144,9 +244,11 @@ router.get('/skills/:id',
 
 // @route   POST /api/admin/skills
 // @desc    Create a new skill
-// @access  Private/Admin
+// @access  Private (skills.create)
 router.post('/skills', 
-  isAdmin,
+  requirePermission('skills.create'),
+  requireScope('admin:skills:write'),
+  requireVerifiedEmail('submitContent'),
   [
     body('name')
       .notEmpty().withMessage('Skill name is required')
@@ -190,7 +292,8 @@ router.post('/skills',
     body('isFeatured')
       .optional()
       .isBoolean()
-      .withMessage('isFeatured must be a boolean')
+      .withMessage('isFeatured must be a boolean'),
+    ...prerequisiteValidation
   ],
   validate,
   async (req, res) => {
@@ -214,6 +317,17 @@ router.post('/skills',
       };
 
       const skill = new Skill(skillData);
+
+      if (req.body.prerequisites) {
+        const prerequisiteProblem = await findPrerequisiteProblem(skill._id, req.body.prerequisites);
+        if (prerequisiteProblem) {
+          return res.status(400).json({ 
+            success: false,
+            message: prerequisiteProblem 
+          });
+        }
+      }
+
       await skill.save();
 
       res.status(201).json({
@@ -242,9 +356,10 @@ router.post('/skills',
 
 // @route   PUT /api/admin/skills/:id
 // @desc    Update a skill
-// @access  Private/Admin
+// @access  Private (skills.edit)
 router.put('/skills/:id',
-  isAdmin,
+  requirePermission('skills.edit'),
+  requireScope('admin:skills:write'),
   [
     param('id').isMongoId().withMessage('Invalid skill ID'),
     body('name')
@@ -262,7 +377,8 @@ router.put('/skills/:id',
     body('color.primary')
       .optional()
       .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
-      .withMessage('Invalid primary color format')
+      .withMessage('Invalid primary color format'),
+    ...prerequisiteValidation
   ],
   validate,
   async (req, res) => {
@@ -283,6 +399,16 @@ router.put('/skills/:id',
         }
       }
 
+      if (req.body.prerequisites) {
+        const prerequisiteProblem = await findPrerequisiteProblem(req.params.id, req.body.prerequisites);
+        if (prerequisiteProblem) {
+          return res.status(400).json({ 
+            success: false,
+            message: prerequisiteProblem 
+          });
+        }
+      }
+
       const updateData = {
         ...req.body,
         updatedBy: req.user._id
@@ -322,9 +448,10 @@ router.put('/skills/:id',
 
 // @route   PATCH /api/admin/skills/:id/toggle-active
 // @desc    Toggle skill active status
-// @access  Private/Admin
+// @access  Private (skills.edit)
 router.patch('/skills/:id/toggle-active',
-  isAdmin,
+  requirePermission('skills.edit'),
+  requireScope('admin:skills:write'),
   [
     param('id').isMongoId().withMessage('Invalid skill ID')
   ],
@@ -362,9 +489,10 @@ router.patch('/skills/:id/toggle-active',
 
 // @route   DELETE /api/admin/skills/:id
 // @desc    Delete a skill (soft delete)
-// @access  Private/Admin
+// @access  Private (skills.delete)
 router.delete('/skills/:id',
-  isAdmin,
+  requirePermission('skills.delete'),
+  requireScope('admin:skills:write'),
   [
     param('id').isMongoId().withMessage('Invalid skill ID')
   ],
@@ -417,9 +545,10 @@ router.delete('/skills/:id',
 
 // @route   POST /api/admin/skills/:id/restore
 // @desc    Restore a soft-deleted skill
-// @access  Private/Admin
+// @access  Private (skills.delete)
 router.post('/skills/:id/restore',
-  isAdmin,
+  requirePermission('skills.delete'),
+  requireScope('admin:skills:write'),
   [
     param('id').isMongoId().withMessage('Invalid skill ID')
   ],
@@ -458,9 +587,10 @@ router.post('/skills/:id/restore',
 
 // @route   POST /api/admin/skills/:id/update-statistics
 // @desc    Manually update skill statistics
-// @access  Private/Admin
+// @access  Private (skills.edit)
 router.post('/skills/:id/update-statistics',
-  isAdmin,
+  requirePermission('skills.edit'),
+  requireScope('admin:skills:write'),
   [
     param('id').isMongoId().withMessage('Invalid skill ID')
   ],
@@ -498,9 +628,10 @@ router.post('/skills/:id/update-statistics',
 
 // @route   GET /api/admin/resources
 // @desc    Get all resources (including inactive)
-// @access  Private/Admin/Moderator
+// @access  Private (resources.view)
 router.get('/resources',
-  isAdmin,
+  requirePermission('resources.view'),
+  requireScope('admin:resources:read'),
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -583,9 +714,10 @@ router.get('/resources',
 
 // @route   GET /api/admin/resources/:id
 // @desc    Get single resource with full details
-// @access  Private/Admin
+// @access  Private (resources.view)
 router.get('/resources/:id',
-  isAdmin,
+  requirePermission('resources.view'),
+  requireScope('admin:resources:read'),
   [
     param('id').isMongoId().withMessage('Invalid resource ID')
   ],
@@ -620,9 +752,11 @@ router.get('/resources/:id',
 
 // @route   POST /api/admin/resources
 // @desc    Create a new resource
-// @access  Private/Admin
+// @access  Private (resources.create)
 router.post('/resources',
-  isAdmin,
+  requirePermission('resources.create'),
+  requireScope('admin:resources:write'),
+  requireVerifiedEmail('submitContent'),
   [
     body('title')
       .notEmpty().withMessage('Title is required')
@@ -683,6 +817,8 @@ router.post('/resources',
   validate,
   async (req, res) => {
     try {
+      stripUnpermittedResourceFields(req);
+
       // Verify skill exists
       const skill = await Skill.findById(req.body.skill);
       if (!skill) {
@@ -754,9 +890,10 @@ router.post('/resources',
 
 // @route   PUT /api/admin/resources/:id
 // @desc    Update a resource
-// @access  Private/Admin
+// @access  Private (resources.edit)
 router.put('/resources/:id',
-  isAdmin,
+  requirePermission('resources.edit'),
+  requireScope('admin:resources:write'),
   [
     param('id').isMongoId().withMessage('Invalid resource ID'),
     body('title')
@@ -781,6 +918,8 @@ router.put('/resources/:id',
   validate,
   async (req, res) => {
     try {
+      stripUnpermittedResourceFields(req);
+
       const oldResource = await Resource.findById(req.params.id);
       
       if (!oldResource) {
@@ -868,9 +1007,10 @@ router.put('/resources/:id',
 
 // @route   PATCH /api/admin/resources/:id/verify
 // @desc    Verify a resource URL and mark as verified
-// @access  Private/Admin
+// @access  Private (resources.verify)
 router.patch('/resources/:id/verify',
-  isAdmin,
+  requirePermission('resources.verify'),
+  requireScope('admin:resources:write'),
   [
     param('id').isMongoId().withMessage('Invalid resource ID')
   ],
@@ -934,9 +1074,10 @@ router.patch('/resources/:id/verify',
 
 // @route   PATCH /api/admin/resources/:id/toggle-active
 // @desc    Toggle resource active status
-// @access  Private/Admin
+// @access  Private (resources.hide)
 router.patch('/resources/:id/toggle-active',
-  isAdmin,
+  requirePermission('resources.hide'),
+  requireScope('admin:resources:write'),
   [
     param('id').isMongoId().withMessage('Invalid resource ID')
   ],
@@ -979,9 +1120,10 @@ router.patch('/resources/:id/toggle-active',
 
 // @route   DELETE /api/admin/resources/:id
 // @desc    Delete a resource (soft delete)
-// @access  Private/Admin
+// @access  Private (resources.delete)
 router.delete('/resources/:id',
-  isAdmin,
+  requirePermission('resources.delete'),
+  requireScope('admin:resources:write'),
   [
     param('id').isMongoId().withMessage('Invalid resource ID')
   ],
@@ -1024,9 +1166,10 @@ router.delete('/resources/:id',
 
 // @route   POST /api/admin/resources/:id/restore
 // @desc    Restore a soft-deleted resource
-// @access  Private/Admin
+// @access  Private (resources.delete)
 router.post('/resources/:id/restore',
-  isAdmin,
+  requirePermission('resources.delete'),
+  requireScope('admin:resources:write'),
   [
     param('id').isMongoId().withMessage('Invalid resource ID')
   ],
@@ -1072,9 +1215,10 @@ router.post('/resources/:id/restore',
 
 // @route   POST /api/admin/resources/bulk-verify
 // @desc    Verify multiple resources
-// @access  Private/Admin
+// @access  Private (resources.verify)
 router.post('/resources/bulk-verify',
-  isAdmin,
+  requirePermission('resources.verify'),
+  requireScope('admin:resources:write'),
   [
     body('resourceIds')
       .isArray({ min: 1 }).withMessage('resourceIds must be a non-empty array')
@@ -1109,9 +1253,10 @@ router.post('/resources/bulk-verify',
 
 // @route   DELETE /api/admin/resources/bulk-delete
 // @desc    Delete multiple resources
-// @access  Private/Admin
+// @access  Private (resources.delete)
 router.delete('/resources/bulk-delete',
-  isAdmin,
+  requirePermission('resources.delete'),
+  requireScope('admin:resources:write'),
   [
     body('resourceIds')
       .isArray({ min: 1 }).withMessage('resourceIds must be a non-empty array')
@@ -1156,13 +1301,286 @@ router.delete('/resources/bulk-delete',
   }
 );
 
+// ==================== LEARNING PATHS ====================
+
+// @route   GET /api/admin/learning-paths
+// @desc    List learning paths, optionally for one skill or level
+// @access  Private (skills.view)
+router.get('/learning-paths',
+  requirePermission('skills.view'),
+  requireScope('admin:skills:read'),
+  [
+    query('skill').optional().isMongoId().withMessage('Invalid skill ID'),
+    query('level')
+      .optional()
+      .isIn(LearningPath.PATH_LEVELS)
+      .withMessage(`Level must be one of: ${LearningPath.PATH_LEVELS.join(', ')}`)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.skill) query.skill = req.query.skill;
+      if (req.query.level) query.level = req.query.level;
+
+      const paths = await LearningPath.find(query)
+        .populate('skill', 'name category')
+        .sort({ updatedAt: -1 });
+
+      res.json({
+        success: true,
+        data: paths
+      });
+    } catch (error) {
+      console.error('Get learning paths error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to fetch learning paths',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/learning-paths/:id
+// @desc    Get a learning path with its resources
+// @access  Private (skills.view)
+router.get('/learning-paths/:id',
+  requirePermission('skills.view'),
+  requireScope('admin:skills:read'),
+  [
+    param('id').isMongoId().withMessage('Invalid learning path ID')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const path = await LearningPath.findById(req.params.id)
+        .populate('skill', 'name category')
+        .populate('modules.resources', 'title type learningType isActive verified');
+
+      if (!path) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Learning path not found' 
+        });
+      }
+
+      res.json({
+        success: true,
+        data: path
+      });
+    } catch (error) {
+      console.error('Get learning path error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to fetch learning path',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/learning-paths
+// @desc    Create a learning path for a skill and level
+// @access  Private (skills.edit)
+router.post('/learning-paths',
+  requirePermission('skills.edit'),
+  requireScope('admin:skills:write'),
+  [
+    body('skill').isMongoId().withMessage('Invalid skill ID'),
+    body('level')
+      .isIn(LearningPath.PATH_LEVELS)
+      .withMessage(`Level must be one of: ${LearningPath.PATH_LEVELS.join(', ')}`),
+    body('title')
+      .isString().trim()
+      .isLength({ min: 2, max: 150 }).withMessage('Title must be between 2 and 150 characters'),
+    body('description')
+      .optional()
+      .isString().trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('modules')
+      .isArray({ min: 1 }).withMessage('A learning path needs at least one module'),
+    ...learningPathModuleValidation
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { skill: skillId, level, title, description, modules } = req.body;
+
+      const skill = await Skill.findOne({ _id: skillId, deletedAt: null });
+      if (!skill) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Skill not found' 
+        });
+      }
+
+      const resourceProblem = await findPathResourceProblem(skill._id, modules);
+      if (resourceProblem) {
+        return res.status(400).json({ 
+          success: false,
+          message: resourceProblem 
+        });
+      }
+
+      const path = await LearningPath.create({
+        skill: skill._id,
+        level,
+        title,
+        description,
+        modules,
+        createdBy: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Learning path created successfully',
+        data: path
+      });
+    } catch (error) {
+      console.error('Create learning path error:', error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'This skill already has a learning path for that level' 
+        });
+      }
+
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to create learning path',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/learning-paths/:id
+// @desc    Update a learning path; modules are replaced as a whole
+// @access  Private (skills.edit)
+router.put('/learning-paths/:id',
+  requirePermission('skills.edit'),
+  requireScope('admin:skills:write'),
+  [
+    param('id').isMongoId().withMessage('Invalid learning path ID'),
+    body('level')
+      .optional()
+      .isIn(LearningPath.PATH_LEVELS)
+      .withMessage(`Level must be one of: ${LearningPath.PATH_LEVELS.join(', ')}`),
+    body('title')
+      .optional()
+      .isString().trim()
+      .isLength({ min: 2, max: 150 }).withMessage('Title must be between 2 and 150 characters'),
+    body('description')
+      .optional()
+      .isString().trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be a boolean'),
+    body('modules')
+      .optional()
+      .isArray({ min: 1 }).withMessage('A learning path needs at least one module'),
+    ...learningPathModuleValidation
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const path = await LearningPath.findById(req.params.id);
+      if (!path) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Learning path not found' 
+        });
+      }
+
+      if (req.body.modules) {
+        const resourceProblem = await findPathResourceProblem(path.skill, req.body.modules);
+        if (resourceProblem) {
+          return res.status(400).json({ 
+            success: false,
+            message: resourceProblem 
+          });
+        }
+      }
+
+      for (const field of ['level', 'title', 'description', 'modules', 'isActive']) {
+        if (req.body[field] !== undefined) {
+          path[field] = req.body[field];
+        }
+      }
+      path.updatedBy = req.user._id;
+      await path.save();
+
+      res.json({
+        success: true,
+        message: 'Learning path updated successfully',
+        data: path
+      });
+    } catch (error) {
+      console.error('Update learning path error:', error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'This skill already has a learning path for that level' 
+        });
+      }
+
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to update learning path',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/learning-paths/:id
+// @desc    Delete a learning path. Learners keep their completed resources.
+// @access  Private (skills.edit)
+router.delete('/learning-paths/:id',
+  requirePermission('skills.edit'),
+  requireScope('admin:skills:write'),
+  [
+    param('id').isMongoId().withMessage('Invalid learning path ID')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const path = await LearningPath.findByIdAndDelete(req.params.id);
+
+      if (!path) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Learning path not found' 
+        });
+      }
+
+      res.json({ 
+        success: true,
+        message: 'Learning path deleted successfully' 
+      });
+    } catch (error) {
+      console.error('Delete learning path error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to delete learning path',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 // ==================== STATISTICS & ANALYTICS ====================
 
 // @route   GET /api/admin/dashboard/stats
 // @desc    Get admin dashboard statistics
-// @access  Private/Admin
+// @access  Private (stats.view)
 router.get('/dashboard/stats',
-  isAdmin,
+  requirePermission('stats.view'),
+  requireScope('admin:stats:read'),
   async (req, res) => {
     try {
       const [
@@ -1270,9 +1688,10 @@ router.get('/dashboard/stats',
 
 // @route   GET /api/admin/users
 // @desc    Get all users
-// @access  Private/Admin
+// @access  Private (users.view)
 router.get('/users',
-  isAdmin,
+  requirePermission('users.view'),
+  requireScope('admin:users:read'),
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -1339,9 +1758,10 @@ router.get('/users',
 
 // @route   PATCH /api/admin/users/:id/role
 // @desc    Update user role
-// @access  Private/Admin
+// @access  Private (users.editRole)
 router.patch('/users/:id/role',
-  isAdmin,
+  requirePermission('users.editRole'),
+  requireScope('admin:users:write'),
   [
     param('id').isMongoId().withMessage('Invalid user ID'),
     body('role').isIn(['user', 'admin', 'moderator', 'instructor']).withMessage('Invalid role')
@@ -1349,19 +1769,27 @@ router.patch('/users/:id/role',
   validate,
   async (req, res) => {
     try {
-      const user = await User.findByIdAndUpdate(
+      const previous = await User.findByIdAndUpdate(
         req.params.id,
-        { role: req.body.role },
-        { new: true }
-      ).select('-password');
+        { role: req.body.role }
+      ).select('role');
 
-      if (!user) {
+      if (!previous) {
         return res.status(404).json({ 
           success: false,
           message: 'User not found' 
         });
       }
 
+      const user = await User.findById(req.params.id).select('-password');
+      if (previous.role !== user.role) {
+        recordAuthEvent(req, 'role_change', {
+          user,
+          actor: req.user._id,
+          metadata: { from: previous.role, to: user.role }
+        });
+      }
+
       res.json({
         success: true,
         message: 'User role updated successfully',
@@ -1380,9 +1808,10 @@ router.patch('/users/:id/role',
 
 // @route   PATCH /api/admin/users/:id/ban
 // @desc    Ban/Unban a user
-// @access  Private/Admin
+// @access  Private (users.ban)
 router.patch('/users/:id/ban',
-  isAdmin,
+  requirePermission('users.ban'),
+  requireScope('admin:users:write'),
   [
     param('id').isMongoId().withMessage('Invalid user ID'),
     body('isBanned').isBoolean().withMessage('isBanned must be a boolean'),
@@ -1413,6 +1842,11 @@ router.patch('/users/:id/ban',
         });
       }
 
+      // Sign the user out everywhere; authenticate would reject them anyway
+      if (isBanned) {
+        await Session.revokeAllForUser(user._id, 'admin');
+      }
+
       res.json({
         success: true,
         message: `User ${isBanned ? 'banned' : 'unbanned'} successfully`,
@@ -1429,4 +1863,367 @@ router.patch('/users/:id/ban',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a failed-login lockout early
+// @access  Private (users.unlock)
+router.post('/users/:id/unlock',
+  requirePermission('users.unlock'),
+  requireScope('admin:users:write'),
+  [
+    param('id').isMongoId().withMessage('Invalid user ID')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id)
+        .select('+security.loginAttempts +security.lockUntil');
+
+      if (!user) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'User not found' 
+        });
+      }
+
+      const wasLocked = user.isLocked;
+      await user.resetLoginAttempts();
+
+      res.json({
+        success: true,
+        message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked',
+        data: {
+          id: user._id,
+          isLocked: false
+        }
+      });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to unlock user',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    View the app as a user through a read-only, time-limited session
+// @access  Private (users.impersonate)
+router.post('/users/:id/impersonate',
+  requirePermission('users.impersonate'),
+  requireSession,
+  [
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      if (req.user._id.equals(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot view the app as yourself'
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'User not found' 
+        });
+      }
+
+      // Viewing as another admin would hand out their access
+      if (hasPermission(user.role, 'users.impersonate')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Administrators cannot be viewed as'
+        });
+      }
+
+      const block = await user.getAccessBlock();
+      if (block) {
+        return res.status(400).json({
+          success: false,
+          code: block.code,
+          message: 'This account cannot be signed in to right now'
+        });
+      }
+
+      const { session, token, expiresAt } = await createImpersonationSession(user._id, req.user._id, {
+        userAgent: req.get('User-Agent') || '',
+        ip: req.ip
+      });
+
+      recordAuthEvent(req, 'impersonation_start', {
+        user,
+        actor: req.user._id,
+        metadata: { session: session._id, reason: req.body.reason, expiresAt }
+      });
+
+      res.json({
+        success: true,
+        message: `You are now viewing as ${user.name}`,
+        data: {
+          token,
+          expiresAt,
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Start impersonation error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to view as user',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/users/:id/impersonate
+// @desc    Stop viewing as a user; called with the admin's own token
+// @access  Private (users.impersonate)
+router.delete('/users/:id/impersonate',
+  requirePermission('users.impersonate'),
+  requireSession,
+  [
+    param('id').isMongoId().withMessage('Invalid user ID')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await Session.revokeImpersonation(req.params.id, req.user._id);
+
+      if (result.modifiedCount > 0) {
+        recordAuthEvent(req, 'impersonation_stop', {
+          user: await User.findById(req.params.id).select('email'),
+          actor: req.user._id
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Stopped viewing as user',
+        data: { ended: result.modifiedCount }
+      });
+    } catch (error) {
+      console.error('Stop impersonation error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to stop viewing as user',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// ==================== AUDIT LOG ====================
+
+// @route   GET /api/admin/audit/auth
+// @desc    Search the authentication audit log by user, email, event and date range
+// @access  Private (audit.view)
+router.get('/audit/auth',
+  requirePermission('audit.view'),
+  requireScope('admin:audit:read'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('email').optional().isString().trim().toLowerCase(),
+    query('event')
+      .optional()
+      .isIn(AuthEvent.AUTH_EVENT_TYPES)
+      .withMessage(`Event must be one of: ${AuthEvent.AUTH_EVENT_TYPES.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('from must be a date'),
+    query('to').optional().isISO8601().withMessage('to must be a date')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, user, email, event, from, to } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const query = {};
+      if (user) query.user = user;
+      if (email) query.email = email;
+      if (event) query.event = event;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+      }
+
+      const events = await AuthEvent.find(query)
+        .populate('user', 'name email role')
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await AuthEvent.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get auth audit log error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to fetch audit log',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// ==================== SETTINGS ====================
+
+// @route   GET /api/admin/settings/email-verification
+// @desc    Get the actions that require a verified email address
+// @access  Private (settings.manage)
+router.get('/settings/email-verification',
+  requirePermission('settings.manage'),
+  requireScope('admin:settings:read'),
+  async (req, res) => {
+    try {
+      const requiredFor = await Setting.getValue(EMAIL_VERIFICATION_SETTING, []);
+
+      res.json({
+        success: true,
+        data: {
+          requiredFor,
+          availableActions: VERIFIED_EMAIL_ACTIONS
+        }
+      });
+    } catch (error) {
+      console.error('Get email verification settings error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to fetch email verification settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/settings/email-verification
+// @desc    Choose which actions require a verified email address
+// @access  Private (settings.manage)
+router.put('/settings/email-verification',
+  requirePermission('settings.manage'),
+  requireScope('admin:settings:write'),
+  [
+    body('requiredFor')
+      .isArray().withMessage('requiredFor must be an array'),
+    body('requiredFor.*')
+      .isIn(VERIFIED_EMAIL_ACTIONS)
+      .withMessage(`Actions must be one of: ${VERIFIED_EMAIL_ACTIONS.join(', ')}`)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const requiredFor = [...new Set(req.body.requiredFor)];
+      await Setting.setValue(EMAIL_VERIFICATION_SETTING, requiredFor, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Email verification settings updated successfully',
+        data: {
+          requiredFor,
+          availableActions: VERIFIED_EMAIL_ACTIONS
+        }
+      });
+    } catch (error) {
+      console.error('Update email verification settings error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to update email verification settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/settings/two-factor
+// @desc    Get the roles that must use two-factor authentication
+// @access  Private (settings.manage)
+router.get('/settings/two-factor',
+  requirePermission('settings.manage'),
+  requireScope('admin:settings:read'),
+  async (req, res) => {
+    try {
+      const requiredRoles = await Setting.getValue(TWO_FACTOR_SETTING, []);
+
+      res.json({
+        success: true,
+        data: {
+          requiredRoles,
+          availableRoles: USER_ROLES
+        }
+      });
+    } catch (error) {
+      console.error('Get two-factor settings error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to fetch two-factor settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/settings/two-factor
+// @desc    Choose which roles must use two-factor authentication
+// @access  Private (settings.manage)
+router.put('/settings/two-factor',
+  requirePermission('settings.manage'),
+  requireScope('admin:settings:write'),
+  [
+    body('requiredRoles')
+      .isArray().withMessage('requiredRoles must be an array'),
+    body('requiredRoles.*')
+      .isIn(USER_ROLES)
+      .withMessage(`Roles must be one of: ${USER_ROLES.join(', ')}`)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const requiredRoles = [...new Set(req.body.requiredRoles)];
+      await Setting.setValue(TWO_FACTOR_SETTING, requiredRoles, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor settings updated successfully',
+        data: {
+          requiredRoles,
+          availableRoles: USER_ROLES
+        }
+      });
+    } catch (error) {
+      console.error('Update two-factor settings error:', error);
+      res.status(500).json({ 
+        success: false,
+        message: 'Failed to update two-factor settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,17 +1,84 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const ApiToken = require('../models/ApiToken');
+const { API_TOKEN_SCOPES } = ApiToken;
+const {
+  authenticate,
+  requireScope,
+  requireSession,
+  isTwoFactorSetupRequired,
+  TWO_FACTOR_SETTING
+} = require('../middleware/auth');
+const {
+  ACCESS_TOKEN_EXPIRY,
+  createSession,
+  rotateSession,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateOAuthLoginToken,
+  verifyOAuthLoginToken,
+  generateAccountRestoreToken,
+  verifyAccountRestoreToken
+} = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { verifyGoogleIdToken } = require('../utils/googleAuth');
+const github = require('../utils/githubAuth');
+const { describeUserAgent } = require('../utils/userAgent');
+const { getPermissionsForRole } = require('../utils/permissions');
+const { recordAuthEvent } = require('../utils/authAudit');
+const { evaluatePassword, PASSWORD_HISTORY_SIZE } = require('../utils/passwordPolicy');
+const AuthEvent = require('../models/AuthEvent');
+const MagicLink = require('../models/MagicLink');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountDeletionEmail,
+  sendMagicLinkEmail
+} = require('../utils/emails');
 
 const router = express.Router();
 
 // Constants
-const TOKEN_EXPIRY = '30d';
-const MIN_PASSWORD_LENGTH = 8;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
 const VALID_CATEGORIES = ['children', 'students', 'senior_citizens'];
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Skill Enhancement';
+const TWO_FACTOR_FIELDS = '+security.twoFactorSecret +security.twoFactorBackupCodes +security.twoFactorLastUsedStep';
+const LOCKOUT_FIELDS = '+security.loginAttempts +security.lockUntil';
+const MAX_API_TOKENS_PER_USER = 20;
+const MAX_API_TOKEN_EXPIRY_DAYS = 366;
+const SECURITY_EVENTS_LIMIT = 50;
+// Email sign-in links: how long one works, and how many an address may be sent per hour
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15;
+const MAGIC_LINK_MAX_PER_HOUR = parseInt(process.env.MAGIC_LINK_MAX_PER_HOUR, 10) || 3;
+// Accounts created from a sign-in link are for learners who would rather not manage a password
+const MAGIC_LINK_SIGNUP_CATEGORY = 'senior_citizens';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const GITHUB_STATE_COOKIE = 'github_oauth_state';
+const GITHUB_STATE_TTL_MS = 10 * 60 * 1000;
 
 // Validation middleware
+// New passwords are checked against the password policy, using whatever is known
+// about the account: the submitted name and email, or the signed-in user
+const passwordStrength = (field) => body(field)
+  .isString()
+  .withMessage('Password is required')
+  .bail()
+  .custom(async (value, { req }) => {
+    const { errors } = await evaluatePassword(value, {
+      email: req.body.email || req.user?.email,
+      name: req.body.name || req.user?.name
+    });
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+    return true;
+  });
+
 const validateRegistration = [
   body('name')
     .trim()
@@ -24,11 +91,7 @@ const validateRegistration = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: MIN_PASSWORD_LENGTH })
-    .withMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordStrength('password'),
   body('category')
     .optional()
     .isIn(VALID_CATEGORIES)
@@ -47,46 +110,481 @@ const validateLogin = [
 ];
 
 const validateGoogleAuth = [
+  body('credential')
+    .isString()
+    .notEmpty()
+    .withMessage('Google credential is required'),
+  body('category')
+    .optional()
+    .isIn(VALID_CATEGORIES)
+    .withMessage(`Category must be one of: ${VALID_CATEGORIES.join(', ')}`)
+];
+
+const validateMagicLinkRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
   body('name')
+    .optional({ values: 'falsy' })
     .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+];
+
+const validateMagicLinkToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('This sign-in link is invalid or has expired')
+];
+
+const validatePasswordChange = [
+  body('currentPassword')
     .notEmpty()
-    .withMessage('Name is required'),
+    .withMessage('Current password is required'),
+  passwordStrength('newPassword'),
+  body('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password')
+];
+
+const validatePasswordStrength = [
+  body('password')
+    .isString()
+    .withMessage('Password is required'),
+  body('email')
+    .optional()
+    .isString()
+    .trim(),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+];
+
+const validateForgotPassword = [
   body('email')
     .trim()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  body('googleId')
+    .withMessage('Please provide a valid email')
+];
+
+const validateResetPassword = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid or expired reset link'),
+  passwordStrength('password')
+];
+
+const validateVerificationToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid or expired verification link')
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
     .notEmpty()
-    .withMessage('Google ID is required'),
-  body('category')
+    .withMessage('Authentication code is required')
+];
+
+const validateTwoFactorChallenge = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...validateTwoFactorCode
+];
+
+const validateOAuthExchange = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Login code is required')
+];
+
+const validateAccountDeletion = [
+  body('confirmEmail')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Enter your email address to confirm'),
+  body('password')
     .optional()
-    .isIn(VALID_CATEGORIES)
-    .withMessage(`Category must be one of: ${VALID_CATEGORIES.join(', ')}`)
+    .isString()
+];
+
+const validateAccountRestore = [
+  body('restoreToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Restore token is required')
+];
+
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const validateApiToken = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(API_TOKEN_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_TOKEN_SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_API_TOKEN_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_API_TOKEN_EXPIRY_DAYS} days`)
+];
+
+const validateApiTokenId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid token ID')
+];
+
+const validateRefresh = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
 ];
 
 // Helper functions
-const generateToken = (userId) => {
-  if (!process.env.JWT_SECRET) {
-    throw new Error('JWT_SECRET is not defined in environment variables');
-  }
-  
-  return jwt.sign(
-    { userId, type: 'access' },
-    process.env.JWT_SECRET,
-    { expiresIn: TOKEN_EXPIRY }
-  );
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip
+});
+
+const issueTokens = async (req, userId) => {
+  const { token, refreshToken } = await createSession(userId, getClientInfo(req));
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRY };
 };
 
+// admin:* scopes only make sense for roles with admin permissions; each admin
+// route still checks the permission itself
+const getGrantableScopes = (user) => API_TOKEN_SCOPES.filter(
+  scope => !scope.startsWith('admin:') || getPermissionsForRole(user.role).length > 0
+);
+
+const formatApiTokenResponse = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPreview: apiToken.tokenPreview,
+  scopes: apiToken.scopes,
+  createdAt: apiToken.createdAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  expiresAt: apiToken.expiresAt,
+  expired: !apiToken.isValid
+});
+
+const formatSessionResponse = (session, currentSessionId) => ({
+  id: session._id,
+  device: describeUserAgent(session.userAgent).label,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session._id.equals(currentSessionId)
+});
+
+// What a user sees of their own audit log; who acted on their behalf stays private
+const formatAuthEventResponse = (authEvent) => ({
+  id: authEvent._id,
+  event: authEvent.event,
+  reason: authEvent.reason || null,
+  method: authEvent.metadata?.method || null,
+  byAdmin: !!authEvent.actor,
+  device: describeUserAgent(authEvent.userAgent).label,
+  ip: authEvent.ip,
+  createdAt: authEvent.createdAt
+});
+
 const formatUserResponse = (user) => ({
   id: user._id,
   name: user.name,
   email: user.email,
   category: user.category,
   role: user.role,
+  emailVerified: !!user.security?.emailVerified,
+  twoFactorEnabled: !!user.security?.twoFactorEnabled,
+  avatar: user.profile?.avatar || '',
+  permissions: getPermissionsForRole(user.role),
+  streak: user.getStreak(),
+  preferences: user.getPreferences(),
   createdAt: user.createdAt
 });
 
+// Record a sign-in for login stats and the daily streak. The client sends its
+// time zone in X-Timezone. Failing to record it must not block the sign-in.
+const recordLoginActivity = async (req, user, options = {}) => {
+  try {
+    await user.updateLoginActivity({ timezone: req.get('X-Timezone'), ...options });
+  } catch (error) {
+    console.error('Login activity error:', error);
+  }
+};
+
+// Reject a sign-in attempt on a locked account, telling the client when to retry
+const sendLockedResponse = (res, user) => {
+  const retryAfter = Math.max(Math.ceil((user.security.lockUntil - Date.now()) / 1000), 1);
+  const minutes = Math.ceil(retryAfter / 60);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter,
+    lockUntil: user.security.lockUntil
+  });
+};
+
+// Record a failed password or code, answering with the lock if that was the last attempt
+const sendFailedAttemptResponse = async (res, user, message, reason) => {
+  await user.incLoginAttempts();
+  recordAuthEvent(res.req, 'login_failure', { user, reason, metadata: { locked: user.isLocked } });
+  if (user.isLocked) {
+    return sendLockedResponse(res, user);
+  }
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Refuse sign-in for banned or deactivated accounts; returns true if a response was sent
+const rejectBlockedAccount = async (res, user) => {
+  const block = await user.getAccessBlock();
+  if (!block) {
+    return false;
+  }
+  recordAuthEvent(res.req, 'login_failure', { user, reason: block.code.toLowerCase() });
+  res.status(403).json({
+    success: false,
+    ...block
+  });
+  return true;
+};
+
+// Refuse sign-in to an account pending deletion, handing out a token that can restore it
+const sendDeletionPendingResponse = (res, user, method) => {
+  recordAuthEvent(res.req, 'login_failure', { user, reason: 'account_deletion_pending', metadata: { method } });
+  return res.status(403).json({
+    success: false,
+    code: 'ACCOUNT_DELETION_PENDING',
+    message: `This account is scheduled for deletion on ${user.deletionScheduledFor.toDateString()}. Restore it to continue.`,
+    deletionScheduledFor: user.deletionScheduledFor,
+    restoreToken: generateAccountRestoreToken(user._id)
+  });
+};
+
+// Finish a first-factor sign-in: hand out a 2FA challenge, or start a session.
+// Accounts pending deletion get a token to restore the account instead, but only
+// once any second factor has been checked: the token is as good as a sign-in.
+// `method` says how the user proved who they are, for the audit log, and
+// `secondFactorVerified` skips the challenge when that already happened.
+const sendLoginResponse = async (res, user, {
+  status = 200,
+  message = 'Login successful',
+  method = 'password',
+  secondFactorVerified = false,
+  ...extra
+} = {}) => {
+  const needsChallenge = user.security?.twoFactorEnabled && !secondFactorVerified;
+
+  if (user.isDeletionPending && !needsChallenge) {
+    return sendDeletionPendingResponse(res, user, method);
+  }
+
+  // The challenge reports a pending deletion itself once the code checks out
+  if (!user.isDeletionPending && await rejectBlockedAccount(res, user)) {
+    return;
+  }
+
+  if (needsChallenge) {
+    return res.status(status).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      ...extra,
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id)
+    });
+  }
+
+  if (user.security?.loginAttempts || user.security?.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+
+  const tokens = await issueTokens(res.req, user._id);
+  await recordLoginActivity(res.req, user);
+  recordAuthEvent(res.req, 'login_success', { user, metadata: { method } });
+
+  res.status(status).json({
+    success: true,
+    message,
+    ...extra,
+    ...tokens,
+    user: {
+      ...formatUserResponse(user),
+      twoFactorSetupRequired: await isTwoFactorSetupRequired(user)
+    }
+  });
+};
+
+// Everything we hold about a user, in a form they can take elsewhere
+const buildAccountExport = (user) => {
+  const data = user.toObject({ virtuals: false });
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: {
+      name: data.name,
+      email: data.email,
+      category: data.category,
+      role: data.role,
+      emailVerified: !!data.security?.emailVerified,
+      twoFactorEnabled: !!data.security?.twoFactorEnabled,
+      linkedAccounts: {
+        google: !!data.googleId,
+        github: !!data.githubId
+      },
+      createdAt: data.createdAt
+    },
+    profile: data.profile,
+    preferences: data.preferences,
+    bookmarks: data.bookmarks.map(bookmark => ({
+      resource: bookmark.resource && {
+        id: bookmark.resource._id,
+        title: bookmark.resource.title,
+        url: bookmark.resource.url
+      },
+      notes: bookmark.notes || '',
+      progress: bookmark.progress,
+      addedAt: bookmark.addedAt
+    })),
+    learningProgress: data.learningProgress.map(progress => ({
+      skill: progress.skill && {
+        id: progress.skill._id,
+        name: progress.skill.name
+      },
+      level: progress.level,
+      progressPercentage: progress.progressPercentage,
+      completedResources: progress.completedResources.map(resource => ({
+        id: resource._id,
+        title: resource.title
+      })),
+      startedAt: progress.startedAt,
+      lastAccessedAt: progress.lastAccessedAt
+    })),
+    achievements: data.achievements.map(({ type, earnedAt, metadata }) => ({ type, earnedAt, metadata })),
+    points: data.points,
+    level: data.level,
+    activity: data.activity
+  };
+};
+
+// Check a TOTP or backup code; on success the user is updated (but not saved)
+// so the same code cannot be used again
+const verifySecondFactor = (user, code) => {
+  const { security } = user;
+  if (!security.twoFactorSecret) {
+    return false;
+  }
+
+  const step = totp.verifyTotp(security.twoFactorSecret, code, security.twoFactorLastUsedStep ?? -1);
+  if (step !== null) {
+    security.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = totp.hashBackupCode(code);
+  const backupCodes = security.twoFactorBackupCodes || [];
+  if (backupCodes.includes(codeHash)) {
+    security.twoFactorBackupCodes = backupCodes.filter(hash => hash !== codeHash);
+    return true;
+  }
+
+  return false;
+};
+
+// An account whose email was never verified may have been registered by someone
+// who does not own the address. Once the address owner links a provider that has
+// verified it, drop every way in the registrant set up: the password, two-factor,
+// a pending password reset, sessions and API tokens.
+const revokeRegistrantAccess = async (user) => {
+  user.password = undefined;
+  user.security.passwordResetToken = undefined;
+  user.security.passwordResetExpires = undefined;
+  user.security.twoFactorEnabled = false;
+  user.security.twoFactorSecret = undefined;
+  user.security.twoFactorBackupCodes = [];
+  user.security.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'account_claimed');
+  await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Tell the holder of an account without a password how they do sign in
+const getNoPasswordMessage = (user) => {
+  const providers = [user.googleId && 'Google', user.githubId && 'GitHub'].filter(Boolean);
+  return providers.length > 0
+    ? `This account has no password. Please sign in with ${providers.join(' or ')}.`
+    : 'This account has no password. Request a sign-in link instead.';
+};
+
+// Read a single cookie from the request headers
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...rest] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+};
+
+// Send the browser back to the React app after an OAuth redirect. Values go in
+// the fragment so they never reach server logs.
+const redirectToClient = (res, params) => {
+  res.redirect(`${CLIENT_URL}/auth/github/callback#${new URLSearchParams(params)}`);
+};
+
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+// Check a new password against the account it is for: its name and email, and
+// its recent passwords. Returns the problem, or null if there is none.
+const findPasswordProblem = async (user, password) => {
+  const { errors } = await evaluatePassword(password, user);
+  if (errors.length > 0) return errors[0];
+
+  if (await user.isPasswordReused(password)) {
+    return `Please choose a password you have not used before (your last ${PASSWORD_HISTORY_SIZE} passwords cannot be reused)`;
+  }
+  return null;
+};
+
 const handleValidationErrors = (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -129,15 +627,22 @@ router.post('/register', validateRegistration, async (req, res) => {
       category: category || 'students'
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    sendVerificationEmail(user, verificationToken).catch(err => {
+      console.error('Verification email error:', err);
+    });
+
+    // Start a session
+    const tokens = await issueTokens(req, user._id);
+    await recordLoginActivity(req, user);
+    recordAuthEvent(req, 'login_success', { user, metadata: { method: 'registration' } });
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
-      token,
+      ...tokens,
       user: formatUserResponse(user)
     });
   } catch (error) {
@@ -170,40 +675,37 @@ router.post('/login', validateLogin, async (req, res) => {
     const { email, password } = req.body;
 
     // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select(`+password ${LOCKOUT_FIELDS}`);
     if (!user) {
+      recordAuthEvent(req, 'login_failure', { email, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Check if user has a password (not Google-only account)
+    // Accounts that sign in with Google, GitHub or email links have no password
     if (!user.password) {
+      recordAuthEvent(req, 'login_failure', { user, reason: 'no_password' });
       return res.status(401).json({
         success: false,
-        message: 'This account uses Google Sign-In. Please login with Google.'
+        message: getNoPasswordMessage(user)
       });
     }
 
+    // Refuse to check passwords while the account is locked
+    if (user.isLocked) {
+      recordAuthEvent(req, 'login_failure', { user, reason: 'account_locked' });
+      return sendLockedResponse(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+      return sendFailedAttemptResponse(res, user, 'Invalid email or password', 'invalid_password');
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: formatUserResponse(user)
-    });
+    await sendLoginResponse(res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -214,7 +716,7 @@ router.post('/login', validateLogin, async (req, res) => {
 });
 
 // @route   POST /api/auth/google
-// @desc    Google OAuth login/register
+// @desc    Google OAuth login/register with a Google ID token
 // @access  Public
 router.post('/google', validateGoogleAuth, async (req, res) => {
   try {
@@ -222,26 +724,75 @@ router.post('/google', validateGoogleAuth, async (req, res) => {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
 
-    const { name, email, googleId, category, picture } = req.body;
+    // Only trust identity details that Google has signed
+    let claims;
+    try {
+      claims = await verifyGoogleIdToken(req.body.credential);
+    } catch (error) {
+      console.warn('Google ID token rejected:', error.message);
+      recordAuthEvent(req, 'login_failure', { reason: 'invalid_google_credential' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid Google credential'
+      });
+    }
+
+    if (!claims.email_verified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your Google email address is not verified'
+      });
+    }
+
+    const { sub: googleId, picture } = claims;
+    const email = claims.email.toLowerCase();
+    const name = claims.name || email.split('@')[0];
+    const { category } = req.body;
 
-    // Find existing user
-    let user = await User.findOne({ email });
+    // Find existing user, preferring the account already linked to this Google ID
+    let user = await User.findOne({ googleId }) || await User.findOne({ email });
     let isNewUser = false;
 
     if (user) {
-      // Update Google ID and picture if not set
+      if (user.googleId && user.googleId !== googleId) {
+        return res.status(409).json({
+          success: false,
+          message: 'This email is linked to a different Google account'
+        });
+      }
+
+      // Linking Google to an unverified account takes it over from whoever registered it
+      const claimsUnverifiedAccount = !user.googleId && !user.security.emailVerified;
+
+      // Update Google ID and avatar if not set
       let updated = false;
+      let linked = false;
       if (!user.googleId) {
         user.googleId = googleId;
         updated = true;
+        linked = true;
       }
-      if (picture && (!user.picture || user.picture !== picture)) {
-        user.picture = picture;
+      // Google has confirmed the address, so it counts as verified
+      if (!user.security.emailVerified && user.email === email) {
+        user.security.emailVerified = true;
+        user.security.emailVerifiedAt = new Date();
+        user.security.emailVerificationToken = undefined;
+        user.security.emailVerificationExpires = undefined;
+        updated = true;
+      }
+      if (picture && !user.profile.avatar) {
+        user.profile.avatar = picture;
         updated = true;
       }
       if (updated) {
         await user.save();
       }
+      if (claimsUnverifiedAccount) {
+        await revokeRegistrantAccess(user);
+      }
+      if (linked) {
+        recordAuthEvent(req, 'google_link', { user });
+      }
     } else {
       // Create new user
       isNewUser = true;
@@ -250,20 +801,17 @@ router.post('/google', validateGoogleAuth, async (req, res) => {
         email,
         googleId,
         category: category || 'students',
-        picture
+        profile: { avatar: picture || '' },
+        security: { emailVerified: true, emailVerifiedAt: new Date() }
       });
       await user.save();
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(isNewUser ? 201 : 200).json({
-      success: true,
+    await sendLoginResponse(res, user, {
+      status: isNewUser ? 201 : 200,
       message: isNewUser ? 'Account created successfully' : 'Login successful',
-      isNewUser,
-      token,
-      user: formatUserResponse(user)
+      method: 'google',
+      isNewUser
     });
   } catch (error) {
     console.error('Google auth error:', error);
@@ -283,72 +831,1250 @@ router.post('/google', validateGoogleAuth, async (req, res) => {
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
-// @access  Private
-router.get('/me', authenticate, async (req, res) => {
+// @route   GET /api/auth/github
+// @desc    Start a GitHub login by redirecting to GitHub
+// @access  Public
+router.get('/github', (req, res) => {
+  if (!github.isGithubConfigured()) {
+    return redirectToClient(res, { error: 'GitHub login is not available' });
+  }
+
+  // The state is tied to this browser by a cookie to stop login CSRF
+  const state = crypto.randomBytes(24).toString('hex');
+  res.cookie(GITHUB_STATE_COOKIE, state, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: GITHUB_STATE_TTL_MS,
+    path: '/api/auth/github'
+  });
+
+  res.redirect(github.buildAuthorizeUrl(state));
+});
+
+// @route   GET /api/auth/github/callback
+// @desc    Handle the GitHub redirect, then link or create the account
+// @access  Public
+router.get('/github/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const expectedState = readCookie(req, GITHUB_STATE_COOKIE);
+  res.clearCookie(GITHUB_STATE_COOKIE, { path: '/api/auth/github' });
+
+  if (error) {
+    return redirectToClient(res, { error: 'GitHub login was cancelled' });
+  }
+
+  if (
+    typeof code !== 'string' ||
+    typeof state !== 'string' ||
+    !expectedState ||
+    state.length !== expectedState.length ||
+    !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(expectedState))
+  ) {
+    return redirectToClient(res, { error: 'GitHub login expired. Please try again.' });
+  }
+
   try {
-    const user = await User.findById(req.user._id).select('-password');
-    
+    const accessToken = await github.exchangeCode(code);
+    const profile = await github.fetchGithubProfile(accessToken);
+
+    let user = await User.findOne({ githubId: profile.githubId });
+
     if (!user) {
-      return res.status(404).json({
+      if (!profile.email) {
+        return redirectToClient(res, {
+          error: 'Your GitHub account has no verified email address'
+        });
+      }
+
+      // Link to an existing account with the same (GitHub-verified) email
+      user = await User.findOne({ email: profile.email });
+
+      if (user) {
+        if (user.githubId) {
+          return redirectToClient(res, {
+            error: 'This email is linked to a different GitHub account'
+          });
+        }
+        // Linking GitHub to an unverified account takes it over from whoever registered it
+        const claimsUnverifiedAccount = !user.security.emailVerified;
+
+        user.githubId = profile.githubId;
+        if (!user.security.emailVerified) {
+          user.security.emailVerified = true;
+          user.security.emailVerifiedAt = new Date();
+          user.security.emailVerificationToken = undefined;
+          user.security.emailVerificationExpires = undefined;
+        }
+        if (!user.profile.avatar && profile.avatar) {
+          user.profile.avatar = profile.avatar;
+        }
+        await user.save();
+        if (claimsUnverifiedAccount) {
+          await revokeRegistrantAccess(user);
+        }
+        recordAuthEvent(req, 'github_link', { user });
+      } else {
+        user = await User.create({
+          name: profile.name,
+          email: profile.email,
+          githubId: profile.githubId,
+          category: 'students',
+          profile: { avatar: profile.avatar },
+          security: { emailVerified: true, emailVerifiedAt: new Date() }
+        });
+      }
+    }
+
+    redirectToClient(res, { code: generateOAuthLoginToken(user._id) });
+  } catch (error) {
+    console.error('GitHub auth error:', error);
+    redirectToClient(res, { error: 'GitHub login failed. Please try again later.' });
+  }
+});
+
+// @route   POST /api/auth/github/exchange
+// @desc    Exchange the code from the GitHub redirect for a session
+// @access  Public
+router.post('/github/exchange', validateOAuthExchange, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    let decoded;
+    try {
+      decoded = verifyOAuthLoginToken(req.body.code);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'GitHub login expired. Please try again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    res.json({
-      success: true,
-      user: formatUserResponse(user)
-    });
+    await sendLoginResponse(res, user, { method: 'github' });
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('GitHub exchange error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve user information'
+      message: 'Login failed. Please try again later.'
     });
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh authentication token
-// @access  Private
-router.post('/refresh', authenticate, async (req, res) => {
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use sign-in link; for a new address the link creates an account
+// @access  Public
+router.post('/magic-link', validateMagicLinkRequest, async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
-    
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const { email, name } = req.body;
+
+    // Limit per address so the endpoint cannot be used to flood someone's inbox
+    const sentLastHour = await MagicLink.countSentSince(email, new Date(Date.now() - 60 * 60 * 1000));
+    if (sentLastHour >= MAGIC_LINK_MAX_PER_HOUR) {
+      res.set('Retry-After', String(60 * 60));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many sign-in links have been requested for this address. Please try again later.'
+      });
+    }
+
+    const user = await User.findOne({ email });
+    const linkToken = MagicLink.generateToken();
+    await MagicLink.create({
+      email,
+      tokenHash: MagicLink.hashToken(linkToken),
+      name: user ? undefined : name,
+      expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000),
+      ip: req.ip
+    });
+
+    // Don't wait for delivery so response time doesn't reveal whether the account exists
+    const recipient = user || { email, name: name || 'there' };
+    sendMagicLinkEmail(recipient, linkToken, {
+      isNewAccount: !user,
+      expiresInMinutes: MAGIC_LINK_TTL_MINUTES
+    }).catch(err => {
+      console.error('Magic link email error:', err);
+    });
+
+    // Same response whether or not the address is registered
     res.json({
       success: true,
-      token
+      message: 'Check your inbox: we have sent you a sign-in link.'
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Magic link request error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to refresh token'
+      message: 'Failed to send sign-in link'
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
-// @access  Private
-router.post('/logout', authenticate, async (req, res) => {
+// @route   GET /api/auth/magic-link/:token
+// @desc    Exchange a sign-in link for a session, creating the account if needed
+// @access  Public
+router.get('/magic-link/:token', validateMagicLinkToken, async (req, res) => {
   try {
-    // In a JWT system, logout is typically handled client-side
-    // This endpoint can be used for logging or blacklisting tokens if needed
-    
-    res.json({
-      success: true,
-      message: 'Logout successful'
-    });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Logout failed'
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const link = await MagicLink.consume(req.params.token);
+    if (!link) {
+      recordAuthEvent(req, 'login_failure', { reason: 'invalid_magic_link' });
+      return res.status(401).json({
+        success: false,
+        message: 'This sign-in link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    let user = await User.findOne({ email: link.email }).select(LOCKOUT_FIELDS);
+    let isNewUser = false;
+
+    if (user) {
+      // Opening the link proves control of the inbox
+      if (!user.security.emailVerified) {
+        user.security.emailVerified = true;
+        user.security.emailVerifiedAt = new Date();
+        user.security.emailVerificationToken = undefined;
+        user.security.emailVerificationExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+    } else {
+      isNewUser = true;
+      user = await User.create({
+        name: link.name || link.email.split('@')[0],
+        email: link.email,
+        passwordless: true,
+        category: MAGIC_LINK_SIGNUP_CATEGORY,
+        security: { emailVerified: true, emailVerifiedAt: new Date() }
+      });
+    }
+
+    await sendLoginResponse(res, user, {
+      status: isNewUser ? 201 : 200,
+      message: isNewUser ? 'Account created successfully' : 'Login successful',
+      method: 'magic_link',
+      isNewUser
+    });
+  } catch (error) {
+    console.error('Magic link login error:', error);
+
+    // Two links for the same new address used at once
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists. Please request a new sign-in link.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again later.'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', authenticate, requireScope('profile:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        ...formatUserResponse(user),
+        twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+        // Lets the app show who is really behind an admin "view as user" session
+        impersonation: req.impersonator ? {
+          impersonatorId: req.impersonator._id,
+          impersonatorName: req.impersonator.name,
+          expiresAt: req.authSession.expiresAt
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve user information'
+    });
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download a JSON archive of the user's personal data
+// @access  Private
+router.get('/me/export', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('bookmarks.resource', 'title url')
+      .populate('learningProgress.skill', 'name')
+      .populate('learningProgress.completedResources', 'title');
+
+    const filename = `skill-enhancement-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(buildAccountExport(user));
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export your data'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete the account. It can be restored by logging in during the grace period,
+//          after which it is anonymised.
+// @access  Private
+router.delete('/me', authenticate, requireSession, validateAccountDeletion, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (req.body.confirmEmail.toLowerCase() !== user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The email address does not match your account'
+      });
+    }
+
+    // Accounts that only sign in with Google or GitHub have no password to check
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (user.role === 'admin') {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'admin',
+        isActive: true,
+        deletedAt: null
+      });
+      if (otherAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are the only administrator. Make someone else an admin before deleting your account.'
+        });
+      }
+    }
+
+    await user.scheduleDeletion();
+    await Session.revokeAllForUser(user._id, 'account_deleted');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    sendAccountDeletionEmail(user).catch(err => {
+      console.error('Account deletion email error:', err);
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}. Log in before then to restore it.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account'
+    });
+  }
+});
+
+// @route   POST /api/auth/cancel-deletion
+// @desc    Restore an account pending deletion and continue signing in
+// @access  Public (requires a restore token from login)
+router.post('/cancel-deletion', validateAccountRestore, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    let decoded;
+    try {
+      decoded = verifyAccountRestoreToken(req.body.restoreToken);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        message: 'This restore link has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isDeletionPending) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account can no longer be restored'
+      });
+    }
+
+    await user.cancelDeletion();
+    // Restore tokens are only handed out after the two-factor challenge, so don't ask again
+    await sendLoginResponse(res, user, {
+      message: 'Welcome back! Your account has been restored.',
+      method: 'account_restore',
+      secondFactorVerified: true
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore account'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/challenge
+// @desc    Complete a two-factor login with a TOTP or backup code
+// @access  Public (requires a challenge token from login)
+router.post('/2fa/challenge', validateTwoFactorChallenge, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+    if (!user || !user.security.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in again.'
+      });
+    }
+
+    // Failed codes count towards the same lockout as failed passwords
+    if (user.isLocked) {
+      recordAuthEvent(req, 'login_failure', { user, reason: 'account_locked', metadata: { method: 'two_factor' } });
+      return sendLockedResponse(res, user);
+    }
+
+    if (!verifySecondFactor(user, req.body.code)) {
+      return sendFailedAttemptResponse(res, user, 'Invalid authentication code', 'invalid_two_factor_code');
+    }
+
+    user.security.loginAttempts = 0;
+    user.security.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    if (user.isDeletionPending) {
+      return sendDeletionPendingResponse(res, user, 'two_factor');
+    }
+
+    if (await rejectBlockedAccount(res, user)) {
+      return;
+    }
+
+    const tokens = await issueTokens(req, user._id);
+    await recordLoginActivity(req, user);
+    recordAuthEvent(req, 'login_success', { user, metadata: { method: 'two_factor' } });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      user: formatUserResponse(user),
+      backupCodesRemaining: user.security.twoFactorBackupCodes.length
+    });
+  } catch (error) {
+    console.error('Two-factor challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment and return the secret for the authenticator app
+// @access  Private
+router.post('/2fa/setup', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret only becomes active once a code from it is verified
+    const secret = totp.generateSecret();
+    user.security.twoFactorSecret = secret;
+    user.security.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: TOTP_ISSUER
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrolment with a code from the authenticator app and enable 2FA
+// @access  Private
+router.post('/2fa/verify', authenticate, requireSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.security.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyTotp(user.security.twoFactorSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = totp.generateBackupCodes();
+    user.security.twoFactorEnabled = true;
+    user.security.twoFactorLastUsedStep = step;
+    user.security.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes with a new set
+// @access  Private
+router.post('/2fa/backup-codes', authenticate, requireSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = totp.generateBackupCodes();
+    user.security.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticate, requireSession, validateTwoFactorCode, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const requiredRoles = await Setting.getValue(TWO_FACTOR_SETTING, []);
+    if (requiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (!verifySecondFactor(user, req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.security.twoFactorEnabled = false;
+    user.security.twoFactorSecret = undefined;
+    user.security.twoFactorBackupCodes = [];
+    user.security.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password and sign out every other device
+// @access  Private
+router.put('/password', authenticate, requireSession, validatePasswordChange, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +security.passwordHistory');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: getNoPasswordMessage(user)
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordProblem = await findPasswordProblem(user, newPassword);
+    if (passwordProblem) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'newPassword', message: passwordProblem }]
+      });
+    }
+
+    // Saving sets security.passwordChangedAt, which invalidates every access token issued before now
+    user.password = newPassword;
+    await user.save();
+
+    // Refresh tokens and API tokens would otherwise keep working for whoever had the old password
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    const tokens = await issueTokens(req, user._id);
+    recordAuthEvent(req, 'password_change', { user });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. All other sessions have been signed out and your API tokens revoked.',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm an email address
+// @access  Public
+router.get('/verify-email/:token', validateVerificationToken, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findOne({
+      'security.emailVerificationToken': hashToken(req.params.token),
+      'security.emailVerificationExpires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    user.security.emailVerified = true;
+    user.security.emailVerifiedAt = new Date();
+    user.security.emailVerificationToken = undefined;
+    user.security.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email address'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification link to the current user
+// @access  Private
+router.post('/verify-email/resend', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.security.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    // The previous link was issued at (expiry - TTL); throttle repeated resends
+    const lastSentAt = user.security.emailVerificationExpires
+      ? user.security.emailVerificationExpires.getTime() - VERIFICATION_TOKEN_TTL_MS
+      : 0;
+    if (Date.now() - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/password-strength
+// @desc    Check a password against the password policy and rate its strength
+// @access  Public
+router.post('/password-strength', validatePasswordStrength, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const { password, email, name } = req.body;
+    const feedback = await evaluatePassword(password, { email, name });
+
+    res.json({
+      success: true,
+      data: feedback
+    });
+  } catch (error) {
+    console.error('Password strength error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check password'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    // Same response whether or not the address is registered
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email: req.body.email, deletedAt: null });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Don't wait for delivery so response time doesn't reveal whether the account exists
+    sendPasswordResetEmail(user, resetToken).catch(err => {
+      console.error('Password reset email error:', err);
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password/:token', validateResetPassword, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findOne({
+      'security.passwordResetToken': hashToken(req.params.token),
+      'security.passwordResetExpires': { $gt: Date.now() }
+    }).select('+password +security.passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    const passwordProblem = await findPasswordProblem(user, req.body.password);
+    if (passwordProblem) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'password', message: passwordProblem }]
+      });
+    }
+
+    user.password = req.body.password;
+    user.security.passwordResetToken = undefined;
+    user.security.passwordResetExpires = undefined;
+    // Proving control of the inbox is enough to lift a lockout
+    user.security.loginAttempts = 0;
+    user.security.lockUntil = undefined;
+    await user.save();
+
+    // Whoever held the old password should not keep a session
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    recordAuthEvent(req, 'password_reset', { user });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate the refresh token and issue a new access token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', validateRefresh, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const result = await rotateSession(req.body.refreshToken, getClientInfo(req));
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user) {
+      await result.session.revoke('logout');
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await rejectBlockedAccount(res, user)) {
+      await result.session.revoke('admin');
+      return;
+    }
+
+    // Staying signed in keeps the streak going
+    await recordLoginActivity(req, user, { countLogin: false });
+    recordAuthEvent(req, 'token_refresh', { user, metadata: { session: result.session._id } });
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRY
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user by revoking the current session
+// @access  Private
+router.post('/logout', authenticate, requireSession, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    recordAuthEvent(req, 'logout', { user: req.user });
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/security-events
+// @desc    List the current user's recent sign-ins and account security changes
+// @access  Private
+router.get('/security-events', authenticate, requireSession, async (req, res) => {
+  try {
+    const events = await AuthEvent.findRecentForUser(req.user._id, SECURITY_EVENTS_LIMIT);
+
+    res.json({
+      success: true,
+      data: events.map(formatAuthEventResponse)
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security events'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => formatSessionResponse(session, req.authSession._id))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out everywhere except the current device
+// @access  Private
+router.delete('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other devices'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single device
+// @access  Private
+router.delete('/sessions/:id', authenticate, requireSession, validateSessionId, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const isCurrent = session._id.equals(req.authSession._id);
+    await session.revoke(isCurrent ? 'logout' : 'user_revoked');
+
+    res.json({
+      success: true,
+      message: isCurrent ? 'Logout successful' : 'Device signed out',
+      data: { current: isCurrent }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal API tokens
+// @access  Private
+router.get('/tokens', authenticate, requireSession, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: tokens.map(formatApiTokenResponse),
+        availableScopes: getGrantableScopes(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API tokens'
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal API token (the raw token is only returned here)
+// @access  Private
+router.post('/tokens', authenticate, requireSession, validateApiToken, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const scopes = [...new Set(req.body.scopes)];
+    const grantable = getGrantableScopes(req.user);
+    const forbidden = scopes.filter(scope => !grantable.includes(scope));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant these scopes: ${forbidden.join(', ')}`
+      });
+    }
+
+    const activeCount = await ApiToken.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_API_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_TOKENS_PER_USER} API tokens. Revoke one first.`
+      });
+    }
+
+    const rawToken = ApiToken.generateToken();
+    const { expiresInDays } = req.body;
+
+    const apiToken = await ApiToken.create({
+      user: req.user._id,
+      name: req.body.name,
+      tokenHash: ApiToken.hashToken(rawToken),
+      tokenPreview: rawToken.slice(0, 10),
+      scopes,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now, it will not be shown again.',
+      data: {
+        ...formatApiTokenResponse(apiToken),
+        token: rawToken
+      }
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API token'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal API token
+// @access  Private
+router.delete('/tokens/:id', authenticate, requireSession, validateApiTokenId, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API token'
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
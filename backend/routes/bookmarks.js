@@ -2,7 +2,7 @@ const express = require('express');
 const { param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Resource = require('../models/Resource');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -24,7 +24,7 @@ const handleValidationErrors = (req, res) => {
 // @route   GET /api/bookmarks
 // @desc    Get user's bookmarks (as resources)
 // @access  Private
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireScope('bookmarks:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate({
@@ -94,7 +94,7 @@ const validateResourceId = [
 // @route   POST /api/bookmarks/:resourceId
 // @desc    Add resource to bookmarks
 // @access  Private
-router.post('/:resourceId', authenticate, validateResourceId, async (req, res) => {
+router.post('/:resourceId', authenticate, requireScope('bookmarks:write'), requireVerifiedEmail('bookmark'), validateResourceId, async (req, res) => {
   try {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
@@ -135,7 +135,7 @@ router.post('/:resourceId', authenticate, validateResourceId, async (req, res) =
 // @route   DELETE /api/bookmarks/:resourceId
 // @desc    Remove resource from bookmarks
 // @access  Private
-router.delete('/:resourceId', authenticate, validateResourceId, async (req, res) => {
+router.delete('/:resourceId', authenticate, requireScope('bookmarks:write'), validateResourceId, async (req, res) => {
   try {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
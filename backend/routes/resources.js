@@ -2,7 +2,10 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { param, query, validationResult } = require('express-validator');
 const Resource = require('../models/Resource');
-const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const ReviewSchedule = require('../models/ReviewSchedule');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { formatSkillProgress } = require('../utils/progress');
 
 const router = express.Router();
 
@@ -454,4 +457,65 @@ router.post('/:id/view', validateResourceId, async (req, res) => {
   }
 });
 
+// Mark a resource as completed or not for the current user
+const setCompletion = (completed) => async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    // Only active, verified resources can be completed, but a resource that has
+    // since been withdrawn can still be taken off the user's list
+    const filter = completed
+      ? { _id: req.params.id, isActive: true, verified: true, deletedAt: null }
+      : { _id: req.params.id };
+    const resource = await Resource.findOne(filter).select('skill');
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { progress, changed, totalResources } = await user.setResourceCompleted(resource, completed);
+
+    // Completed resources come back for review on a spaced repetition schedule
+    if (changed) {
+      if (completed) {
+        await ReviewSchedule.scheduleForCompletion(user._id, resource, user.preferences.timezone);
+      } else {
+        await ReviewSchedule.removeForResource(user._id, resource._id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: completed ? 'Resource marked as completed' : 'Resource marked as not completed',
+      data: {
+        resource: resource._id,
+        completed,
+        resourcesCompleted: user.activity.resourcesCompleted,
+        progress: progress ? formatSkillProgress(progress, totalResources) : null
+      }
+    });
+  } catch (error) {
+    console.error('Set resource completion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update resource completion'
+    });
+  }
+};
+
+// @route   POST /api/resources/:id/complete
+// @desc    Mark a resource as completed (enrolls the user in its skill)
+// @access  Private
+router.post('/:id/complete', authenticate, requireScope('progress:write'), validateResourceId, setCompletion(true));
+
+// @route   DELETE /api/resources/:id/complete
+// @desc    Mark a resource as not completed
+// @access  Private
+router.delete('/:id/complete', authenticate, requireScope('progress:write'), validateResourceId, setCompletion(false));
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,10 @@ const mongoose = require('mongoose');
 const { param, query, validationResult } = require('express-validator');
 const Skill = require('../models/Skill');
 const Resource = require('../models/Resource');
-const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const LearningPath = require('../models/LearningPath');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { formatSkillProgress } = require('../utils/progress');
 
 const router = express.Router();
 
@@ -559,6 +562,122 @@ router.get('/:id/resources', [...validateSkillId, ...validateResourceQuery], asy
   }
 });
 
+// @route   POST /api/skills/:id/enroll
+// @desc    Enroll the current user in a skill to track progress on it
+// @access  Private
+router.post('/:id/enroll', authenticate, requireScope('progress:write'), validateSkillId, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const skill = await Skill.findById(req.params.id).select('isActive');
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    if (!skill.isActive) {
+      return res.status(410).json({
+        success: false,
+        message: 'This skill is no longer available'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { progress, enrolled, totalResources } = await user.enrollInSkill(skill._id);
+
+    res.status(enrolled ? 201 : 200).json({
+      success: true,
+      message: enrolled ? 'Enrolled in skill' : 'Already enrolled in this skill',
+      data: formatSkillProgress(progress, totalResources)
+    });
+  } catch (error) {
+    console.error('Enroll in skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enroll in skill'
+    });
+  }
+});
+
+// @route   GET /api/skills/:id/paths
+// @desc    Get a skill's learning paths with the current user's progress on each step
+// @access  Private
+router.get('/:id/paths', authenticate, requireScope('progress:read'), validateSkillId, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const skill = await Skill.findById(req.params.id).select('isActive');
+    if (!skill || !skill.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    const [paths, user] = await Promise.all([
+      LearningPath.findForSkill(skill._id),
+      User.findById(req.user._id).select('learningProgress')
+    ]);
+    const completedResources = user.getSkillProgress(skill._id)?.completedResources || [];
+
+    res.json({
+      success: true,
+      data: paths.map(path => path.toLearnerView(completedResources))
+    });
+  } catch (error) {
+    console.error('Get learning paths error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve learning paths'
+    });
+  }
+});
+
+// @route   GET /api/skills/:id/roadmap
+// @desc    Get the skills to learn first, in order, with the current user's progress in each
+// @access  Private
+router.get('/:id/roadmap', authenticate, requireScope('progress:read'), validateSkillId, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const roadmap = await Skill.getRoadmap(req.params.id);
+    if (roadmap.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('learningProgress');
+    await user.recalculateProgress(roadmap.map(step => step.skill._id));
+
+    res.json({
+      success: true,
+      data: roadmap.map(step => {
+        const progress = user.getSkillProgress(step.skill._id);
+        return {
+          ...step,
+          progress: progress
+            ? { level: progress.level, progressPercentage: progress.progressPercentage }
+            : null,
+          completed: !!progress && progress.progressPercentage === 100
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get skill roadmap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve skill roadmap'
+    });
+  }
+});
+
 // @route   GET /api/skills/:id/related
 // @desc    Get related skills
 // @access  Public
@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const StudySession = require('../models/StudySession');
+const { authenticate, requireScope } = require('../middleware/auth');
+
+const { STUDY_HEARTBEAT_INTERVAL_SECONDS, STUDY_SESSION_TIMEOUT_SECONDS } = StudySession;
+
+const router = express.Router();
+
+// Validation rules
+const validateStartSession = [
+  body('resourceId')
+    .isMongoId()
+    .withMessage('Invalid resource ID format')
+];
+
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid study session ID format')
+];
+
+// Helper: handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  return null;
+};
+
+// Helper: save a session, then add the minutes it gained to the user's totals.
+// Saving first means a heartbeat that loses a race credits nothing.
+const saveAndCredit = async (session, minutes) => {
+  await session.save();
+  await User.addStudyTime(session.user, session.skill, minutes);
+};
+
+// Helper: whether a save lost a race with another request for the same session
+const isConcurrentUpdate = (error) => error.name === 'VersionError';
+
+// @route   POST /api/study-sessions
+// @desc    Start studying a resource (ends the user's other open sessions)
+// @access  Private
+router.post('/', authenticate, requireScope('progress:write'), validateStartSession, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    // Only active, verified resources count towards progress
+    const resource = await Resource.findOne({
+      _id: req.body.resourceId,
+      isActive: true,
+      verified: true,
+      deletedAt: null
+    }).select('skill');
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const now = new Date();
+    await StudySession.closeTimedOut(req.user._id, now);
+
+    // Time is only counted once, however many tabs are open
+    const openSessions = await StudySession.find({ user: req.user._id, endedAt: null });
+    for (const openSession of openSessions) {
+      await saveAndCredit(openSession, openSession.finish('replaced', now));
+    }
+
+    const session = await StudySession.create({
+      user: req.user._id,
+      resource: resource._id,
+      skill: resource.skill,
+      startedAt: now,
+      lastHeartbeatAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Study session started',
+      data: {
+        session: session.toSummary(),
+        heartbeatInterval: STUDY_HEARTBEAT_INTERVAL_SECONDS,
+        timeout: STUDY_SESSION_TIMEOUT_SECONDS
+      }
+    });
+  } catch (error) {
+    // Another request saved a session this one was replacing
+    if (isConcurrentUpdate(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Study session was updated by another request'
+      });
+    }
+    console.error('Start study session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start study session'
+    });
+  }
+});
+
+// @route   POST /api/study-sessions/:id/heartbeat
+// @desc    Keep a study session open and credit the time since the last heartbeat
+// @access  Private
+router.post('/:id/heartbeat', authenticate, requireScope('progress:write'), validateSessionId, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const session = await StudySession.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study session not found'
+      });
+    }
+
+    if (session.endedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Study session has already ended',
+        data: { session: session.toSummary() }
+      });
+    }
+
+    if (session.isTimedOut()) {
+      session.finish('timeout');
+      await session.save();
+      return res.status(410).json({
+        success: false,
+        message: 'Study session timed out. Start a new one to keep tracking time',
+        data: { session: session.toSummary() }
+      });
+    }
+
+    const minutes = session.recordHeartbeat();
+    await saveAndCredit(session, minutes);
+
+    res.json({
+      success: true,
+      data: {
+        session: session.toSummary(),
+        minutesAdded: minutes
+      }
+    });
+  } catch (error) {
+    if (isConcurrentUpdate(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Study session was updated by another request'
+      });
+    }
+    console.error('Study session heartbeat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record heartbeat'
+    });
+  }
+});
+
+// @route   POST /api/study-sessions/:id/end
+// @desc    End a study session (ending one that has already ended does nothing)
+// @access  Private
+router.post('/:id/end', authenticate, requireScope('progress:write'), validateSessionId, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const session = await StudySession.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study session not found'
+      });
+    }
+
+    let minutes = 0;
+    if (!session.endedAt) {
+      minutes = session.finish('ended');
+      await saveAndCredit(session, minutes);
+    }
+
+    res.json({
+      success: true,
+      message: 'Study session ended',
+      data: {
+        session: session.toSummary(),
+        minutesAdded: minutes
+      }
+    });
+  } catch (error) {
+    if (isConcurrentUpdate(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Study session was updated by another request'
+      });
+    }
+    console.error('End study session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end study session'
+    });
+  }
+});
+
+module.exports = router;
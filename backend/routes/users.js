@@ -0,0 +1,558 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const StudySession = require('../models/StudySession');
+const ReviewSchedule = require('../models/ReviewSchedule');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { formatSkillProgress } = require('../utils/progress');
+const { getDayKey } = require('../utils/dates');
+const {
+  AVATAR_MAX_BYTES,
+  AVATAR_MIME_TYPES,
+  saveAvatar,
+  removeAvatar
+} = require('../utils/avatarStorage');
+
+const router = express.Router();
+
+// Profile fields users may edit; their rules live on the User schema
+const PROFILE_FIELDS = ['bio', 'location', 'website', 'dateOfBirth', 'gender', 'phone'];
+
+// Preference fields set as a whole; emailNotifications is merged key by key
+const PREFERENCE_FIELDS = ['learningStyle', 'preferredLanguages', 'theme', 'displayDensity', 'timezone'];
+const EMAIL_NOTIFICATION_KEYS = ['newResources', 'weeklyDigest', 'achievements', 'recommendations'];
+const MAX_PREFERRED_LANGUAGES = 10;
+
+// How far back the study time breakdown can reach
+const MAX_TIME_DAYS = 90;
+const MAX_TIME_WEEKS = 52;
+
+const MAX_DUE_REVIEWS = 100;
+const { MIN_REVIEW_QUALITY, MAX_REVIEW_QUALITY } = ReviewSchedule;
+
+const enumValues = path => User.schema.path(path).enumValues;
+
+// Keep uploads in memory: they are resized before anything is written to disk
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Avatar must be a JPEG, PNG, WebP or GIF image'));
+    }
+    cb(null, true);
+  }
+});
+
+// Validation middleware
+const validateProfileUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim(),
+  body(['bio', 'location', 'website', 'phone'])
+    .optional()
+    .isString()
+    .withMessage('Must be text')
+    .trim(),
+  body('dateOfBirth')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date')
+    .toDate()
+    .custom(value => value <= new Date())
+    .withMessage('Date of birth cannot be in the future'),
+  body('gender')
+    .optional()
+    .isIn(enumValues('profile.gender'))
+    .withMessage(`Gender must be one of: ${enumValues('profile.gender').join(', ')}`)
+];
+
+const validatePreferencesUpdate = [
+  body('learningStyle')
+    .optional()
+    .isIn(enumValues('preferences.learningStyle'))
+    .withMessage(`Learning style must be one of: ${enumValues('preferences.learningStyle').join(', ')}`),
+  body('theme')
+    .optional()
+    .isIn(enumValues('preferences.theme'))
+    .withMessage(`Theme must be one of: ${enumValues('preferences.theme').join(', ')}`),
+  body('displayDensity')
+    .optional()
+    .isIn(enumValues('preferences.displayDensity'))
+    .withMessage(`Display density must be one of: ${enumValues('preferences.displayDensity').join(', ')}`),
+  body('preferredLanguages')
+    .optional()
+    .isArray({ max: MAX_PREFERRED_LANGUAGES })
+    .withMessage(`Preferred languages must be a list of at most ${MAX_PREFERRED_LANGUAGES} entries`),
+  body('preferredLanguages.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each language must be 1-50 characters'),
+  body('emailNotifications')
+    .optional()
+    .isObject()
+    .withMessage('Email notifications must be an object'),
+  body(EMAIL_NOTIFICATION_KEYS.map(key => `emailNotifications.${key}`))
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Email notification settings must be true or false'),
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('Time zone must be text')
+];
+
+const validateTimeQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: MAX_TIME_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_TIME_DAYS}`)
+    .toInt(),
+  query('weeks')
+    .optional()
+    .isInt({ min: 1, max: MAX_TIME_WEEKS })
+    .withMessage(`Weeks must be between 1 and ${MAX_TIME_WEEKS}`)
+    .toInt()
+];
+
+const validateDueReviewsQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_DUE_REVIEWS })
+    .withMessage(`Limit must be between 1 and ${MAX_DUE_REVIEWS}`)
+    .toInt()
+];
+
+const validateReview = [
+  param('resourceId')
+    .isMongoId()
+    .withMessage('Invalid resource ID format'),
+  body('quality')
+    .isInt({ min: MIN_REVIEW_QUALITY, max: MAX_REVIEW_QUALITY })
+    .withMessage(`Quality must be a whole number from ${MIN_REVIEW_QUALITY} (forgot) to ${MAX_REVIEW_QUALITY} (perfect recall)`)
+    .toInt()
+];
+
+// Helper: handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  return null;
+};
+
+// Helper: run multer and report upload problems as 400s
+const uploadAvatar = (req, res, next) => {
+  avatarUpload.single('avatar')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Avatar must be smaller than ${AVATAR_MAX_BYTES / (1024 * 1024)} MB`
+      : error.message;
+    res.status(400).json({ success: false, message });
+  });
+};
+
+const formatProfileResponse = (user) => ({
+  name: user.name,
+  email: user.email,
+  avatar: user.profile.avatar || '',
+  bio: user.profile.bio || '',
+  location: user.profile.location || '',
+  website: user.profile.website || '',
+  dateOfBirth: user.profile.dateOfBirth || null,
+  gender: user.profile.gender,
+  phone: user.profile.phone || ''
+});
+
+// @route   GET /api/users/me/profile
+// @desc    Get the current user's profile
+// @access  Private
+router.get('/me/profile', authenticate, requireScope('profile:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      data: formatProfileResponse(user)
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve profile'
+    });
+  }
+});
+
+// @route   PATCH /api/users/me/profile
+// @desc    Update the current user's name and profile fields
+// @access  Private
+router.patch('/me/profile', authenticate, requireScope('profile:write'), validateProfileUpdate, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id);
+    const changedPaths = [];
+
+    if (req.body.name !== undefined) {
+      user.name = req.body.name;
+      changedPaths.push('name');
+    }
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        // Empty values clear the field
+        user.profile[field] = req.body[field] === '' || req.body[field] === null ? undefined : req.body[field];
+        changedPaths.push(`profile.${field}`);
+      }
+    }
+
+    if (changedPaths.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No profile fields to update'
+      });
+    }
+
+    // Apply the schema's own validators to just the fields being changed
+    try {
+      await user.validate(changedPaths);
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path.replace(/^profile\./, ''),
+          message: err.message
+        }))
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: formatProfileResponse(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/avatar
+// @desc    Upload a new avatar (multipart field "avatar"); it is resized to a square
+// @access  Private
+router.put('/me/avatar', authenticate, requireScope('profile:write'), uploadAvatar, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose an image to upload'
+      });
+    }
+
+    let avatarPath;
+    try {
+      avatarPath = await saveAvatar(req.user._id, req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read that image'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.profile.avatar;
+    user.profile.avatar = avatarPath;
+    await user.save({ validateBeforeSave: false });
+
+    removeAvatar(previousAvatar).catch(err => {
+      console.error('Remove old avatar error:', err);
+    });
+
+    res.json({
+      success: true,
+      message: 'Avatar updated',
+      data: formatProfileResponse(user)
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload avatar'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the current user's avatar
+// @access  Private
+router.delete('/me/avatar', authenticate, requireScope('profile:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.profile.avatar;
+    user.profile.avatar = '';
+    await user.save({ validateBeforeSave: false });
+
+    await removeAvatar(previousAvatar);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed',
+      data: formatProfileResponse(user)
+    });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove avatar'
+    });
+  }
+});
+
+// @route   GET /api/users/me/progress
+// @desc    Get the current user's enrolled skills and completed resources
+// @access  Private
+router.get('/me/progress', authenticate, requireScope('progress:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    // Resources may have been added, hidden or unverified since the last
+    // completion. Only the response reflects that; completions save it.
+    const totals = await user.recalculateProgress();
+
+    const skillIds = user.learningProgress.map(entry => entry.skill.toString());
+    await user.populate('learningProgress.skill', 'name icon color category isActive');
+
+    res.json({
+      success: true,
+      data: {
+        resourcesCompleted: user.activity.resourcesCompleted,
+        skills: user.learningProgress
+          .map((entry, index) => formatSkillProgress(entry, totals.get(skillIds[index]) || 0))
+          .sort((a, b) => b.lastAccessedAt - a.lastAccessedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Get progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve progress'
+    });
+  }
+});
+
+// @route   GET /api/users/me/time
+// @desc    Get the current user's study time in total, per skill, per day and per week
+// @access  Private
+router.get('/me/time', authenticate, requireScope('progress:read'), validateTimeQuery, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id)
+      .populate('learningProgress.skill', 'name icon color category');
+    const timezone = user.preferences.timezone;
+
+    const { daily, weekly } = await StudySession.getTimeBreakdown(user._id, {
+      timezone,
+      days: req.query.days || 7,
+      weeks: req.query.weeks || 8
+    });
+
+    res.json({
+      success: true,
+      data: {
+        timezone,
+        totalMinutes: user.activity.totalTimeSpent,
+        skills: user.learningProgress
+          .filter(entry => entry.skill && entry.timeSpent > 0)
+          .map(entry => ({ skill: entry.skill, minutes: entry.timeSpent }))
+          .sort((a, b) => b.minutes - a.minutes),
+        daily,
+        weekly
+      }
+    });
+  } catch (error) {
+    console.error('Get study time error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve study time'
+    });
+  }
+});
+
+// @route   GET /api/users/me/reviews/due
+// @desc    Get the completed resources due for review today, most overdue first
+// @access  Private
+router.get('/me/reviews/due', authenticate, requireScope('progress:read'), validateDueReviewsQuery, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id);
+    const today = getDayKey(new Date(), user.preferences.timezone);
+    const reviews = await ReviewSchedule.findDue(user._id, today);
+
+    res.json({
+      success: true,
+      data: {
+        today,
+        total: reviews.length,
+        reviews: reviews.slice(0, req.query.limit || 20).map(review => review.toSummary())
+      }
+    });
+  } catch (error) {
+    console.error('Get due reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reviews'
+    });
+  }
+});
+
+// @route   POST /api/users/me/reviews/:resourceId
+// @desc    Rate how well a due resource was recalled and schedule its next review
+// @access  Private
+router.post('/me/reviews/:resourceId', authenticate, requireScope('progress:write'), validateReview, async (req, res) => {
+  try {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const review = await ReviewSchedule.findOne({ user: req.user._id, resource: req.params.resourceId });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'No review is scheduled for this resource'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const today = getDayKey(new Date(), user.preferences.timezone);
+
+    if (!review.isDue(today)) {
+      return res.status(409).json({
+        success: false,
+        message: `This resource is not due for review until ${review.dueDay}`,
+        data: review.toSummary()
+      });
+    }
+
+    review.recordReview(req.body.quality, today);
+    await review.save();
+
+    res.json({
+      success: true,
+      message: `Next review on ${review.dueDay}`,
+      data: review.toSummary()
+    });
+  } catch (error) {
+    console.error('Record review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record review'
+    });
+  }
+});
+
+// @route   GET /api/users/me/preferences
+// @desc    Get the current user's learning, notification and display preferences
+// @access  Private
+router.get('/me/preferences', authenticate, requireScope('profile:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      data: user.getPreferences()
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve preferences'
+    });
+  }
+});
+
+// @route   PATCH /api/users/me/preferences
+// @desc    Update some or all preferences; omitted fields are left unchanged
+// @access  Private
+router.patch('/me/preferences', authenticate, requireScope('profile:write'), validatePreferencesUpdate, async (req, res) => {
+  try {
+    // Check validation errors
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const user = await User.findById(req.user._id);
+    const changedPaths = [];
+
+    for (const field of PREFERENCE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        user.preferences[field] = req.body[field];
+        changedPaths.push(`preferences.${field}`);
+      }
+    }
+    for (const key of EMAIL_NOTIFICATION_KEYS) {
+      if (req.body.emailNotifications?.[key] !== undefined) {
+        user.preferences.emailNotifications[key] = req.body.emailNotifications[key];
+        changedPaths.push(`preferences.emailNotifications.${key}`);
+      }
+    }
+
+    if (changedPaths.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No preferences to update'
+      });
+    }
+
+    try {
+      await user.validate(changedPaths);
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path.replace(/^preferences\./, ''),
+          message: err.message
+        }))
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: user.getPreferences()
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences'
+    });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,10 @@ const skillRoutes = require('./routes/skills');
 const resourceRoutes = require('./routes/resources');
 const bookmarkRoutes = require('./routes/bookmarks');
 const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
+const studySessionRoutes = require('./routes/studySessions');
+const User = require('./models/User');
+const { UPLOAD_DIR } = require('./utils/avatarStorage');
 
 // Initialize Express app
 const app = express();
@@ -27,6 +31,7 @@ const CONFIG = {
   ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
   RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
   RATE_LIMIT_MAX: 100, // requests per window
+  ACCOUNT_PURGE_INTERVAL: 60 * 60 * 1000, // 1 hour
 };
 
 // ============================================================================
@@ -154,6 +159,8 @@ app.get('/api', (req, res) => {
       resources: '/api/resources',
       bookmarks: '/api/bookmarks',
       admin: '/api/admin',
+      users: '/api/users',
+      studySessions: '/api/study-sessions',
       health: '/api/health',
     },
   });
@@ -165,6 +172,15 @@ app.use('/api/skills', skillRoutes);
 app.use('/api/resources', resourceRoutes);
 app.use('/api/bookmarks', bookmarkRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/study-sessions', studySessionRoutes);
+
+// Uploaded files (avatars). Helmet would otherwise stop the React app, on
+// another origin, from displaying them.
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  maxAge: '7d',
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // ============================================================================
 // Error Handling
@@ -233,6 +249,27 @@ app.use((err, req, res, next) => {
   });
 });
 
+// ============================================================================
+// Background Jobs
+// ============================================================================
+
+// Anonymise accounts whose deletion grace period has ended
+const purgeDeletedAccounts = async () => {
+  try {
+    const count = await User.anonymizeDueDeletions();
+    if (count > 0) {
+      console.log(`🗑️  Anonymised ${count} deleted account${count === 1 ? '' : 's'}`);
+    }
+  } catch (error) {
+    console.error('❌ Account purge error:', error.message);
+  }
+};
+
+const startBackgroundJobs = () => {
+  purgeDeletedAccounts();
+  setInterval(purgeDeletedAccounts, CONFIG.ACCOUNT_PURGE_INTERVAL).unref();
+};
+
 // ============================================================================
 // Server Initialization
 // ============================================================================
@@ -241,6 +278,7 @@ const startServer = async () => {
   try {
     // Connect to database first
     await connectDatabase();
+    startBackgroundJobs();
 
     // Start server
     const server = app.listen(CONFIG.PORT, () => {
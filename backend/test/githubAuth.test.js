@@ -0,0 +1,205 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { fakeQuery, fakeWrites, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const ApiToken = require('../models/ApiToken');
+
+const GITHUB_CODE = 'github-code';
+const EXPIRED_STATE_ERROR = 'GitHub login expired. Please try again.';
+
+describe('GitHub login', () => {
+  let provider;
+  let server;
+  let tokenRequests;
+  let githubEmails;
+  let accounts;
+
+  before(async () => {
+    // A local stand-in for github.com and api.github.com
+    const providerRoutes = express.Router();
+    providerRoutes.post('/login/oauth/access_token', (req, res) => {
+      tokenRequests.push(req.body);
+      if (req.body.code !== GITHUB_CODE) {
+        return res.json({ error: 'bad_verification_code' });
+      }
+      res.json({ access_token: 'github-access-token', token_type: 'bearer' });
+    });
+    providerRoutes.get('/user', (req, res) => {
+      res.json({ id: 4242, login: 'octolearner', name: 'Octo Learner', avatar_url: '' });
+    });
+    providerRoutes.get('/user/emails', (req, res) => res.json(githubEmails));
+    provider = await startServer('/', providerRoutes);
+
+    process.env.GITHUB_CLIENT_ID = 'test-client-id';
+    process.env.GITHUB_CLIENT_SECRET = 'test-client-secret';
+    process.env.GITHUB_AUTHORIZE_URL = `${provider.url}/login/oauth/authorize`;
+    process.env.GITHUB_TOKEN_URL = `${provider.url}/login/oauth/access_token`;
+    process.env.GITHUB_API_URL = provider.url;
+    // The provider URLs are read when the module loads
+    server = await startServer('/api/auth', require('../routes/auth'));
+  });
+
+  after(async () => {
+    await server.close();
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    tokenRequests = [];
+    githubEmails = [{ email: 'learner@example.com', primary: true, verified: true }];
+    accounts = [];
+
+    fakeWrites(User, AuthEvent);
+    // The users collection, as far as the callback asks it
+    mock.method(User, 'findOne', (filter) => fakeQuery(
+      accounts.find(account => Object.entries(filter).every(([key, value]) => account[key] === value)) || null
+    ));
+    mock.method(Session, 'revokeAllForUser', async () => ({ modifiedCount: 1 }));
+    mock.method(ApiToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Start a login as the browser would, returning the state GitHub is given and the cookie set for it
+  const startLogin = async () => {
+    const response = await server.request('GET', '/api/auth/github');
+    assert.equal(response.status, 302);
+    const authorizeUrl = new URL(response.headers.get('location'));
+    assert.equal(`${authorizeUrl.origin}${authorizeUrl.pathname}`, process.env.GITHUB_AUTHORIZE_URL);
+    return {
+      state: authorizeUrl.searchParams.get('state'),
+      cookie: response.headers.get('set-cookie').split(';')[0]
+    };
+  };
+
+  // Follow GitHub's redirect back, returning what the client app is told in the URL fragment
+  const finishLogin = async (query, cookie) => {
+    const response = await server.request('GET', `/api/auth/github/callback?${new URLSearchParams(query)}`, {
+      headers: cookie ? { Cookie: cookie } : {}
+    });
+    assert.equal(response.status, 302);
+    return Object.fromEntries(new URLSearchParams(new URL(response.headers.get('location')).hash.slice(1)));
+  };
+
+  const addAccount = (fields) => {
+    const account = new User({ name: 'Test Learner', email: 'learner@example.com', ...fields });
+    accounts.push(account);
+    return account;
+  };
+
+  describe('state check', () => {
+    it('refuses a callback when the browser has no state cookie', async () => {
+      const { state } = await startLogin();
+
+      const result = await finishLogin({ code: GITHUB_CODE, state });
+
+      assert.equal(result.error, EXPIRED_STATE_ERROR);
+      assert.equal(tokenRequests.length, 0);
+    });
+
+    it('refuses a state that does not match the cookie', async () => {
+      const { cookie } = await startLogin();
+      const { state: otherState } = await startLogin();
+
+      const result = await finishLogin({ code: GITHUB_CODE, state: otherState }, cookie);
+
+      assert.equal(result.error, EXPIRED_STATE_ERROR);
+      assert.equal(tokenRequests.length, 0);
+    });
+
+    it('refuses a callback without a state', async () => {
+      const { cookie } = await startLogin();
+
+      const result = await finishLogin({ code: GITHUB_CODE }, cookie);
+
+      assert.equal(result.error, EXPIRED_STATE_ERROR);
+      assert.equal(tokenRequests.length, 0);
+    });
+
+    it('exchanges the code when the state matches', async () => {
+      const { state, cookie } = await startLogin();
+
+      const result = await finishLogin({ code: GITHUB_CODE, state }, cookie);
+
+      assert.ok(result.code);
+      assert.equal(tokenRequests.length, 1);
+      assert.equal(tokenRequests[0].client_secret, 'test-client-secret');
+    });
+  });
+
+  describe('account linking', () => {
+    const login = async () => {
+      const { state, cookie } = await startLogin();
+      return finishLogin({ code: GITHUB_CODE, state }, cookie);
+    };
+
+    it('links an existing account through the verified primary email', async () => {
+      const account = addAccount({ security: { emailVerified: true } });
+      githubEmails = [
+        { email: 'old-address@example.com', primary: false, verified: true },
+        { email: 'Learner@Example.com', primary: true, verified: true }
+      ];
+
+      const result = await login();
+
+      assert.ok(result.code);
+      assert.equal(account.githubId, '4242');
+      assert.equal(Session.revokeAllForUser.mock.callCount(), 0);
+    });
+
+    it('does not link through a verified address that is not primary', async () => {
+      const account = addAccount({ security: { emailVerified: true } });
+      githubEmails = [
+        { email: 'learner@example.com', primary: false, verified: true },
+        { email: 'octo@example.com', primary: true, verified: true }
+      ];
+
+      const result = await login();
+
+      assert.ok(result.code);
+      assert.equal(account.githubId, undefined);
+      const [created] = User.collection.insertOne.mock.calls[0].arguments;
+      assert.equal(created.email, 'octo@example.com');
+    });
+
+    it('refuses to link or create an account when the primary email is unverified', async () => {
+      const account = addAccount({ security: { emailVerified: true } });
+      githubEmails = [
+        { email: 'learner@example.com', primary: true, verified: false },
+        { email: 'octo@example.com', primary: false, verified: true }
+      ];
+
+      const result = await login();
+
+      assert.equal(result.error, 'Your GitHub account has no verified email address');
+      assert.equal(account.githubId, undefined);
+      assert.equal(User.collection.insertOne.mock.callCount(), 0);
+    });
+
+    it('takes an unverified account over from whoever registered it', async () => {
+      const account = addAccount({
+        security: { emailVerified: false, twoFactorEnabled: true, twoFactorSecret: 'JBSWY3DPEHPK3PXP' }
+      });
+      // A low bcrypt cost keeps the tests quick
+      account.password = await bcrypt.hash('Registrant-password-1', 4);
+
+      const result = await login();
+
+      assert.ok(result.code);
+      assert.equal(account.githubId, '4242');
+      assert.equal(account.security.emailVerified, true);
+      assert.equal(account.password, undefined);
+      assert.equal(account.security.twoFactorEnabled, false);
+      assert.equal(account.security.twoFactorSecret, undefined);
+      const [userId, reason] = Session.revokeAllForUser.mock.calls[0].arguments;
+      assert.equal(userId.toString(), account._id.toString());
+      assert.equal(reason, 'account_claimed');
+      const [filter] = ApiToken.updateMany.mock.calls[0].arguments;
+      assert.deepEqual(filter, { user: account._id, revokedAt: null });
+    });
+  });
+});
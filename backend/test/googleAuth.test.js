@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { fakeQuery, fakeWrites, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const Setting = require('../models/Setting');
+const { verifyGoogleIdToken, setKeySource, createStaticKeySource } = require('../utils/googleAuth');
+const authRoutes = require('../routes/auth');
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const KEY_ID = 'test-key';
+
+// Stands in for Google: its own key pair, published as a one-key JWKS document
+const googleKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const signIdToken = (claims = {}, { privateKey = googleKey.privateKey, keyid = KEY_ID } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign({
+    iss: 'https://accounts.google.com',
+    aud: CLIENT_ID,
+    sub: '110248495921238986420',
+    email: 'learner@example.com',
+    email_verified: true,
+    name: 'Test Learner',
+    iat: now,
+    exp: now + 5 * 60,
+    ...claims
+  }, privateKey, { algorithm: 'RS256', keyid });
+};
+
+before(() => {
+  process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+  setKeySource(createStaticKeySource({
+    keys: [{ ...googleKey.publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+  }));
+});
+
+describe('verifyGoogleIdToken', () => {
+  it('returns the claims of a token Google signed for this app', async () => {
+    const claims = await verifyGoogleIdToken(signIdToken());
+
+    assert.equal(claims.sub, '110248495921238986420');
+    assert.equal(claims.email, 'learner@example.com');
+    assert.equal(claims.email_verified, true);
+  });
+
+  it('rejects a token signed with a different key under Google\'s key ID', async () => {
+    await assert.rejects(
+      verifyGoogleIdToken(signIdToken({}, { privateKey: otherKey.privateKey })),
+      { message: 'invalid signature' }
+    );
+  });
+
+  it('rejects a token signed with a key Google does not publish', async () => {
+    await assert.rejects(
+      verifyGoogleIdToken(signIdToken({}, { keyid: 'unknown-key' })),
+      { message: 'Unknown signing key' }
+    );
+  });
+
+  it('rejects a token issued for another app', async () => {
+    await assert.rejects(
+      verifyGoogleIdToken(signIdToken({ aud: 'someone-else.apps.googleusercontent.com' })),
+      /audience invalid/
+    );
+  });
+
+  it('rejects a token from another issuer', async () => {
+    await assert.rejects(
+      verifyGoogleIdToken(signIdToken({ iss: 'https://accounts.example.com' })),
+      /issuer invalid/
+    );
+  });
+
+  it('rejects an expired token', async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    await assert.rejects(
+      verifyGoogleIdToken(signIdToken({ iat: now - 2 * 60 * 60, exp: now - 60 * 60 })),
+      { name: 'TokenExpiredError' }
+    );
+  });
+});
+
+describe('POST /api/auth/google', () => {
+  let server;
+  let existingUser;
+
+  before(async () => {
+    server = await startServer('/api/auth', authRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    existingUser = null;
+    fakeWrites(User, Session, AuthEvent);
+    mock.method(User, 'findOne', (filter) => fakeQuery(
+      existingUser && filter.email === existingUser.email ? existingUser : null
+    ));
+    mock.method(Setting, 'getValue', async (key, defaultValue) => defaultValue);
+    // Rejected credentials are logged; keep the test output clean
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const googleLogin = (credential) => server.request('POST', '/api/auth/google', { body: { credential } });
+
+  it('creates an account from a valid credential', async () => {
+    const response = await googleLogin(signIdToken());
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.isNewUser, true);
+    assert.ok(response.body.token);
+    assert.equal(response.body.user.email, 'learner@example.com');
+  });
+
+  it('signs in to the account with the same email and links Google to it', async () => {
+    existingUser = new User({
+      name: 'Test Learner',
+      email: 'learner@example.com',
+      security: { emailVerified: true }
+    });
+
+    const response = await googleLogin(signIdToken());
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.isNewUser, false);
+    assert.equal(existingUser.googleId, '110248495921238986420');
+  });
+
+  it('refuses a credential with a bad signature', async () => {
+    const response = await googleLogin(signIdToken({}, { privateKey: otherKey.privateKey }));
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, 'Invalid Google credential');
+    assert.equal(User.findOne.mock.callCount(), 0);
+  });
+
+  it('refuses a credential for another app or issuer', async () => {
+    const wrongAudience = await googleLogin(signIdToken({ aud: 'someone-else.apps.googleusercontent.com' }));
+    const wrongIssuer = await googleLogin(signIdToken({ iss: 'https://accounts.example.com' }));
+
+    assert.equal(wrongAudience.status, 401);
+    assert.equal(wrongIssuer.status, 401);
+  });
+
+  it('refuses an expired credential', async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    const response = await googleLogin(signIdToken({ iat: now - 2 * 60 * 60, exp: now - 60 * 60 }));
+    assert.equal(response.status, 401);
+  });
+
+  it('refuses an email address Google has not verified', async () => {
+    existingUser = new User({ name: 'Someone Else', email: 'learner@example.com' });
+
+    const response = await googleLogin(signIdToken({ email_verified: false }));
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, 'Your Google email address is not verified');
+    assert.equal(existingUser.googleId, undefined);
+    assert.equal(User.findOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,86 @@
+const { mock } = require('node:test');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// There is no database: anything a test has not faked fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * Stand-in for a Mongoose query that resolves to a fixed value. Chained
+ * modifiers such as select() or lean() are accepted and ignored.
+ * @param {*} value - What awaiting the query gives
+ * @returns {Object}
+ */
+function fakeQuery(value) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  for (const name of ['select', 'populate', 'lean', 'sort', 'limit', 'skip']) {
+    query[name] = () => query;
+  }
+  return query;
+}
+
+/**
+ * Let documents of the given models save without a database. Validation and
+ * middleware still run; the collection acknowledges the write and keeps nothing.
+ * Undone by mock.restoreAll().
+ * @param {...import('mongoose').Model} models
+ */
+function fakeWrites(...models) {
+  for (const Model of models) {
+    mock.method(Model.collection, 'insertOne', async (document) => ({
+      acknowledged: true,
+      insertedId: document._id
+    }));
+    mock.method(Model.collection, 'updateOne', async () => ({
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: 1
+    }));
+  }
+}
+
+/**
+ * Serve a router on a free port
+ * @param {string} path - Where to mount the router
+ * @param {import('express').Router} router
+ * @returns {Promise<{url: string, request: Function, close: Function}>} request(method, url, {body, token, headers})
+ *   resolves to {status, headers, body}. Redirects are returned, not followed.
+ */
+async function startServer(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body && JSON.stringify(body),
+      redirect: 'manual'
+    });
+    const text = await response.text();
+    const isJson = response.headers.get('content-type')?.includes('application/json');
+    return { status: response.status, headers: response.headers, body: text && isJson ? JSON.parse(text) : text || null };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+  return { url: baseUrl, request, close };
+}
+
+module.exports = {
+  fakeQuery,
+  fakeWrites,
+  startServer
+};
@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { fakeQuery, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticate, requireSession } = require('../middleware/auth');
+const { createImpersonationSession } = require('../utils/tokens');
+
+describe('viewing as another user', () => {
+  let server;
+  let users;
+  let sessions;
+
+  before(async () => {
+    const router = express.Router();
+    const ok = (req, res) => res.json({ success: true, impersonatedBy: req.impersonator?._id || null });
+    router.get('/profile', authenticate, ok);
+    router.put('/profile', authenticate, ok);
+    router.delete('/bookmarks/1', authenticate, ok);
+    router.get('/sessions', authenticate, requireSession, ok);
+    server = await startServer('/api', router);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    users = new Map();
+    sessions = new Map();
+    mock.method(User, 'findById', (id) => fakeQuery(users.get(id.toString()) || null));
+    mock.method(Session, 'findById', (id) => fakeQuery(sessions.get(id.toString()) || null));
+    mock.method(Session, 'create', async (data) => {
+      const session = new Session(data);
+      sessions.set(session._id.toString(), session);
+      return session;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const addUser = (role) => {
+    const user = new User({ name: `A ${role}`, email: `${role}@example.com`, role });
+    users.set(user._id.toString(), user);
+    return user;
+  };
+
+  const viewAs = async () => {
+    const admin = addUser('admin');
+    const learner = addUser('user');
+    const { token } = await createImpersonationSession(learner._id, admin._id);
+    return { admin, learner, token };
+  };
+
+  it('lets the admin read as the user', async () => {
+    const { admin, token } = await viewAs();
+
+    const response = await server.request('GET', '/api/profile', { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.impersonatedBy, admin._id.toString());
+  });
+
+  it('blocks every request that could change something', async () => {
+    const { token } = await viewAs();
+
+    for (const [method, url] of [['PUT', '/api/profile'], ['DELETE', '/api/bookmarks/1']]) {
+      const response = await server.request(method, url, { token, body: {} });
+      assert.equal(response.status, 403, `${method} ${url}`);
+      assert.equal(response.body.code, 'IMPERSONATION_READ_ONLY');
+    }
+  });
+
+  it('keeps account settings out of reach, even for reading', async () => {
+    const { token } = await viewAs();
+
+    const response = await server.request('GET', '/api/sessions', { token });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'IMPERSONATION_NOT_ALLOWED');
+  });
+
+  it('ends as soon as the admin loses the right to impersonate', async () => {
+    const { admin, token } = await viewAs();
+    admin.role = 'user';
+
+    const response = await server.request('GET', '/api/profile', { token });
+    assert.equal(response.status, 401);
+  });
+});
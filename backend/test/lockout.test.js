@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { fakeQuery, fakeWrites, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const Setting = require('../models/Setting');
+const totp = require('../utils/totp');
+const { generateChallengeToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const PASSWORD = 'Correct-horse-7';
+const MAX_LOGIN_ATTEMPTS = 5;
+
+describe('account lockout', () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startServer('/api/auth', authRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    user = new User({ name: 'Test Learner', email: 'learner@example.com' });
+    // A low bcrypt cost keeps the tests quick
+    user.password = await bcrypt.hash(PASSWORD, 4);
+
+    fakeWrites(User, Session, AuthEvent);
+    mock.method(User, 'findOne', () => fakeQuery(user));
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(Setting, 'getValue', async (key, defaultValue) => defaultValue);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const login = (password) => server.request('POST', '/api/auth/login', {
+    body: { email: 'learner@example.com', password }
+  });
+
+  it('locks the account after too many wrong passwords', async () => {
+    for (let attempt = 1; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+      const response = await login('wrong-password');
+      assert.equal(response.status, 401);
+    }
+
+    const locked = await login('wrong-password');
+    assert.equal(locked.status, 423);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  });
+
+  it('refuses the right password while the account is locked', async () => {
+    for (let attempt = 0; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+      await login('wrong-password');
+    }
+
+    const response = await login(PASSWORD);
+    assert.equal(response.status, 423);
+    assert.equal(response.body.token, undefined);
+  });
+
+  it('starts counting again once the lock has expired', async () => {
+    user.security.loginAttempts = MAX_LOGIN_ATTEMPTS;
+    user.security.lockUntil = new Date(Date.now() - 1000);
+
+    const response = await login('wrong-password');
+    assert.equal(response.status, 401);
+    assert.equal(user.security.loginAttempts, 1);
+    assert.equal(user.isLocked, false);
+  });
+
+  it('clears failed attempts on a successful login', async () => {
+    await login('wrong-password');
+    await login('wrong-password');
+
+    const response = await login(PASSWORD);
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.equal(user.security.loginAttempts, 0);
+  });
+
+  it('counts wrong two-factor codes towards the same lock', async () => {
+    const secret = totp.generateSecret();
+    user.security.twoFactorEnabled = true;
+    user.security.twoFactorSecret = secret;
+    const completeChallenge = (code) => server.request('POST', '/api/auth/2fa/challenge', {
+      body: { challengeToken: generateChallengeToken(user._id), code }
+    });
+
+    for (let attempt = 1; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+      const response = await completeChallenge('000000');
+      assert.equal(response.status, 401);
+    }
+
+    const locked = await completeChallenge('000000');
+    assert.equal(locked.status, 423);
+
+    const withValidCode = await completeChallenge(totp.generateHotp(secret, totp.getTimeStep()));
+    assert.equal(withValidCode.status, 423);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { fakeQuery, fakeWrites, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const ApiToken = require('../models/ApiToken');
+const Setting = require('../models/Setting');
+const { createSession } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const OLD_PASSWORD = 'Old-password-1';
+const NEW_PASSWORD = 'Lilac-harbor-lantern-93';
+
+describe('password change', () => {
+  let server;
+  let user;
+  let token;
+
+  before(async () => {
+    server = await startServer('/api/auth', authRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    user = new User({ name: 'Test Learner', email: 'learner@example.com' });
+    // A low bcrypt cost keeps the tests quick
+    user.password = await bcrypt.hash(OLD_PASSWORD, 4);
+
+    fakeWrites(User, AuthEvent);
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(Setting, 'getValue', async (key, defaultValue) => defaultValue);
+    mock.method(Session, 'create', async (data) => new Session(data));
+    const { session, token: accessToken } = await createSession(user._id);
+    mock.method(Session, 'findById', () => fakeQuery(session));
+    mock.method(Session, 'revokeAllForUser', async () => ({ modifiedCount: 2 }));
+    mock.method(ApiToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+    token = accessToken;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const changePassword = (currentPassword) => server.request('PUT', '/api/auth/password', {
+    token,
+    body: { currentPassword, newPassword: NEW_PASSWORD }
+  });
+
+  it('signs out other sessions, revokes API tokens and hands back a fresh token pair', async () => {
+    const response = await changePassword(OLD_PASSWORD);
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+    assert.equal(await user.comparePassword(NEW_PASSWORD), true);
+    assert.equal(Session.revokeAllForUser.mock.calls[0].arguments[1], 'password_change');
+    const [filter] = ApiToken.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: user._id, revokedAt: null });
+  });
+
+  it('changes nothing when the current password is wrong', async () => {
+    const response = await changePassword('Not-the-password-1');
+
+    assert.equal(response.status, 401);
+    assert.equal(await user.comparePassword(OLD_PASSWORD), true);
+    assert.equal(Session.revokeAllForUser.mock.callCount(), 0);
+    assert.equal(ApiToken.updateMany.mock.callCount(), 0);
+  });
+});
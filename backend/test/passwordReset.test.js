@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { fakeQuery, fakeWrites, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const ApiToken = require('../models/ApiToken');
+const mailer = require('../utils/mailer');
+const authRoutes = require('../routes/auth');
+
+const NEW_PASSWORD = 'Lilac-harbor-lantern-93';
+
+describe('password reset', () => {
+  let server;
+  let user;
+  let sentMail;
+
+  before(async () => {
+    server = await startServer('/api/auth', authRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    sentMail = [];
+    mailer.setTransport({
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: String(sentMail.length) };
+      }
+    });
+
+    user = new User({ name: 'Test Learner', email: 'learner@example.com' });
+    user.password = await bcrypt.hash('Old-password-1', 4);
+    fakeWrites(User, AuthEvent);
+    // The users collection, as far as the reset routes ask it
+    mock.method(User, 'findOne', (filter) => {
+      if ('email' in filter) {
+        return fakeQuery(filter.email === user.email ? user : null);
+      }
+      const matches = user.security.passwordResetToken === filter['security.passwordResetToken'] &&
+        user.security.passwordResetExpires > filter['security.passwordResetExpires'].$gt;
+      return fakeQuery(matches ? user : null);
+    });
+    mock.method(Session, 'revokeAllForUser', async () => ({ modifiedCount: 1 }));
+    mock.method(ApiToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const forgotPassword = (email) => server.request('POST', '/api/auth/forgot-password', { body: { email } });
+  const resetPassword = (token) => server.request('POST', `/api/auth/reset-password/${token}`, {
+    body: { password: NEW_PASSWORD }
+  });
+
+  // The email is sent after the response, so wait for it to arrive
+  const requestResetToken = async () => {
+    await forgotPassword(user.email);
+    for (let attempt = 0; attempt < 50 && sentMail.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(sentMail.length, 1);
+    return sentMail[0].text.match(/\/reset-password\/([a-f0-9]+)/)[1];
+  };
+
+  it('gives the same answer for unknown addresses and sends nothing', async () => {
+    const known = await forgotPassword(user.email);
+    const unknown = await forgotPassword('nobody@example.com');
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(sentMail.filter(message => message.to === 'nobody@example.com').length, 0);
+  });
+
+  it('sets the new password, signs out every session and revokes API tokens', async () => {
+    const token = await requestResetToken();
+
+    const response = await resetPassword(token);
+
+    assert.equal(response.status, 200);
+    assert.equal(await user.comparePassword(NEW_PASSWORD), true);
+    assert.equal(Session.revokeAllForUser.mock.callCount(), 1);
+    const [userId, reason] = Session.revokeAllForUser.mock.calls[0].arguments;
+    assert.equal(userId.toString(), user._id.toString());
+    assert.equal(reason, 'password_change');
+    assert.equal(ApiToken.updateMany.mock.callCount(), 1);
+    const [filter] = ApiToken.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: user._id, revokedAt: null });
+  });
+
+  it('does not accept a reset link twice', async () => {
+    const token = await requestResetToken();
+    await resetPassword(token);
+
+    const reused = await resetPassword(token);
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.message, 'Invalid or expired reset link');
+  });
+
+  it('does not accept an expired reset link', async () => {
+    const token = await requestResetToken();
+    user.security.passwordResetExpires = Date.now() - 1000;
+
+    const response = await resetPassword(token);
+    assert.equal(response.status, 400);
+    assert.equal(Session.revokeAllForUser.mock.callCount(), 0);
+    assert.equal(ApiToken.updateMany.mock.callCount(), 0);
+  });
+
+  it('does not accept a made-up token', async () => {
+    await requestResetToken();
+
+    const response = await resetPassword('0'.repeat(64));
+    assert.equal(response.status, 400);
+  });
+});
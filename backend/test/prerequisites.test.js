@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { fakeQuery, startServer } = require('./helpers');
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { createSession } = require('../utils/tokens');
+const adminRoutes = require('../routes/admin');
+
+describe('skill prerequisites', () => {
+  let skills;
+
+  // Skill name -> names of its prerequisites
+  const buildGraph = (graph) => {
+    skills = new Map();
+    const ids = new Map(Object.keys(graph).map(name => [name, new mongoose.Types.ObjectId()]));
+    for (const [name, prerequisites] of Object.entries(graph)) {
+      skills.set(ids.get(name).toString(), {
+        _id: ids.get(name),
+        name,
+        prerequisites: prerequisites.map(prerequisite => ({ skill: ids.get(prerequisite), level: 'beginner' }))
+      });
+    }
+    return Object.fromEntries([...ids].map(([name, id]) => [name, id.toString()]));
+  };
+
+  beforeEach(() => {
+    mock.method(Skill, 'find', (filter) => fakeQuery(
+      filter._id.$in.map(String).map(id => skills.get(id)).filter(Boolean)
+    ));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('findPrerequisiteCycle', () => {
+    it('finds nothing when the prerequisites never lead back', async () => {
+      const ids = buildGraph({ react: ['javascript'], javascript: ['html'], html: [], css: ['html'] });
+
+      assert.equal(await Skill.findPrerequisiteCycle(ids.react, [ids.javascript, ids.css]), null);
+    });
+
+    it('rejects a skill as its own prerequisite', async () => {
+      const ids = buildGraph({ html: [] });
+
+      assert.deepEqual(await Skill.findPrerequisiteCycle(ids.html, [ids.html]), [ids.html, ids.html]);
+    });
+
+    it('returns the path of a cycle through other skills', async () => {
+      const ids = buildGraph({ html: [], css: ['html'], javascript: ['css'], react: ['javascript'] });
+
+      // Making HTML require React would close html -> react -> javascript -> css -> html
+      assert.deepEqual(
+        await Skill.findPrerequisiteCycle(ids.html, [ids.react]),
+        [ids.html, ids.react, ids.javascript, ids.css, ids.html]
+      );
+    });
+  });
+
+  describe('PUT /api/admin/skills/:id', () => {
+    let server;
+    let token;
+
+    before(async () => {
+      server = await startServer('/api/admin', adminRoutes);
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      const admin = new User({ name: 'An Admin', email: 'admin@example.com', role: 'admin' });
+      mock.method(User, 'findById', () => fakeQuery(admin));
+      mock.method(Setting, 'getValue', async (key, defaultValue) => defaultValue);
+      mock.method(Session, 'create', async (data) => new Session(data));
+      const { session, token: accessToken } = await createSession(admin._id);
+      mock.method(Session, 'findById', () => fakeQuery(session));
+      token = accessToken;
+
+      mock.method(Skill, 'countDocuments', async (filter) =>
+        filter._id.$in.filter(id => skills.has(String(id))).length
+      );
+    });
+
+    const setPrerequisites = (skillId, prerequisiteIds) => server.request('PUT', `/api/admin/skills/${skillId}`, {
+      token,
+      body: { prerequisites: prerequisiteIds.map(skill => ({ skill, level: 'beginner' })) }
+    });
+
+    it('refuses prerequisites that would form a cycle and names the skills on it', async () => {
+      const ids = buildGraph({ html: [], css: ['html'], javascript: ['css'] });
+      const update = mock.method(Skill, 'findByIdAndUpdate', async () => null);
+
+      const response = await setPrerequisites(ids.html, [ids.javascript]);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Prerequisites cannot form a cycle: html → javascript → css → html');
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('saves prerequisites that do not form a cycle', async () => {
+      const ids = buildGraph({ html: [], css: ['html'], javascript: ['css'] });
+      const updated = new Skill({ name: 'javascript', description: 'Scripts for the web' });
+      mock.method(updated, 'updateStatistics', async () => updated);
+      const update = mock.method(Skill, 'findByIdAndUpdate', async () => updated);
+
+      const response = await setPrerequisites(ids.javascript, [ids.css, ids.html]);
+
+      assert.equal(response.status, 200);
+      assert.equal(update.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ReviewSchedule = require('../models/ReviewSchedule');
+const { addDays, daysBetween } = require('../utils/dates');
+
+describe('spaced repetition schedule', () => {
+  let review;
+  const completedOn = '2026-03-02';
+
+  beforeEach(async () => {
+    // The document the upsert would insert when the resource is completed
+    const upsert = mock.method(ReviewSchedule, 'updateOne', async () => ({ upsertedCount: 1 }));
+    const resource = { _id: new mongoose.Types.ObjectId(), skill: new mongoose.Types.ObjectId() };
+    const userId = new mongoose.Types.ObjectId();
+    await ReviewSchedule.scheduleForCompletion(userId, resource, 'UTC', new Date(`${completedOn}T12:00:00Z`));
+
+    const [filter, update] = upsert.mock.calls[0].arguments;
+    review = new ReviewSchedule({ ...filter, ...update.$setOnInsert });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Review on each due day with the same rating, collecting the gaps between reviews
+  const reviewRepeatedly = (quality, times) => {
+    const gaps = [];
+    for (let i = 0; i < times; i++) {
+      const today = review.dueDay;
+      review.recordReview(quality, today);
+      gaps.push(daysBetween(today, review.dueDay));
+    }
+    return gaps;
+  };
+
+  it('brings a completed resource back the next day', () => {
+    assert.equal(review.dueDay, addDays(completedOn, 1));
+    assert.equal(review.repetitions, 1);
+  });
+
+  it('spaces reviews 6 days, then by the ease factor, while they are remembered', () => {
+    // A rating of 4 leaves the ease factor at 2.5
+    assert.deepEqual(reviewRepeatedly(4, 4), [6, 15, 38, 95]);
+    assert.equal(review.easeFactor, 2.5);
+    assert.equal(review.repetitions, 5);
+  });
+
+  it('grows the intervals faster for easy recalls', () => {
+    assert.deepEqual(reviewRepeatedly(5, 3), [6, 16, 43]);
+    assert.equal(review.easeFactor, 2.8);
+  });
+
+  it('starts again at 1 day, then 6, after a resource is forgotten', () => {
+    reviewRepeatedly(4, 2);
+
+    assert.deepEqual(reviewRepeatedly(1, 1), [1]);
+    assert.deepEqual(reviewRepeatedly(4, 2), [6, 12]);
+  });
+
+  it('never lets the ease factor fall below 1.3', () => {
+    reviewRepeatedly(0, 10);
+    assert.equal(review.easeFactor, 1.3);
+  });
+});
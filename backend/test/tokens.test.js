@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { fakeQuery, fakeWrites } = require('./helpers');
+const Session = require('../models/Session');
+const { createSession, rotateSession, verifyAccessToken } = require('../utils/tokens');
+
+describe('refresh token rotation', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = [];
+    fakeWrites(Session);
+
+    // Just enough of the sessions collection for createSession and rotateSession
+    mock.method(Session, 'create', async (data) => {
+      const session = new Session(data);
+      await session.save();
+      sessions.push(session);
+      return session;
+    });
+    mock.method(Session, 'findOneAndUpdate', (filter, update) => {
+      const session = sessions.find(candidate =>
+        candidate.refreshTokenHash === filter.refreshTokenHash &&
+        !candidate.revokedAt &&
+        candidate.expiresAt > filter.expiresAt.$gt
+      );
+      if (session) {
+        const { $each, $slice } = update.$push.previousTokenHashes;
+        session.set(update.$set);
+        session.previousTokenHashes = [...session.previousTokenHashes, ...$each].slice($slice);
+      }
+      return fakeQuery(session || null);
+    });
+    mock.method(Session, 'findOne', (filter) => fakeQuery(
+      sessions.find(session => session.previousTokenHashes.includes(filter.previousTokenHashes)) || null
+    ));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('swaps the refresh token for a new pair in the same session', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const first = await createSession(userId);
+
+    const result = await rotateSession(first.refreshToken);
+
+    assert.equal(result.success, true);
+    assert.notEqual(result.refreshToken, first.refreshToken);
+    assert.equal(result.session._id.toString(), first.session._id.toString());
+    const payload = verifyAccessToken(result.token);
+    assert.equal(payload.sid, first.session._id.toString());
+    assert.equal(payload.userId, userId.toString());
+  });
+
+  it('keeps rotating with each new refresh token', async () => {
+    const { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+
+    const second = await rotateSession(refreshToken);
+    const third = await rotateSession(second.refreshToken);
+
+    assert.equal(third.success, true);
+    assert.equal(sessions[0].previousTokenHashes.length, 2);
+  });
+
+  it('gives a second tab sending the same token moments later an access token only', async () => {
+    const { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+    const firstTab = await rotateSession(refreshToken);
+
+    const secondTab = await rotateSession(refreshToken);
+
+    assert.equal(secondTab.success, true);
+    assert.ok(verifyAccessToken(secondTab.token));
+    assert.equal(secondTab.refreshToken, undefined);
+    assert.equal(sessions[0].isValid, true);
+
+    // The refresh token the first tab stored keeps working
+    assert.equal((await rotateSession(firstTab.refreshToken)).success, true);
+  });
+
+  it('revokes the whole session when a rotated-out token is replayed later', async () => {
+    const { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+    const rotated = await rotateSession(refreshToken);
+    sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    const replay = await rotateSession(refreshToken);
+
+    assert.equal(replay.success, false);
+    assert.equal(replay.error, 'Refresh token has already been used');
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+    assert.equal(sessions[0].isValid, false);
+
+    // The token handed out by the legitimate rotation no longer works either
+    const afterReuse = await rotateSession(rotated.refreshToken);
+    assert.equal(afterReuse.success, false);
+  });
+
+  it('revokes the session when an older token is replayed, however soon', async () => {
+    const { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+    const second = await rotateSession(refreshToken);
+    await rotateSession(second.refreshToken);
+
+    const replay = await rotateSession(refreshToken);
+
+    assert.equal(replay.success, false);
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+  });
+
+  it('only remembers the most recent rotated-out tokens', async () => {
+    let { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+    for (let i = 0; i < Session.MAX_PREVIOUS_TOKEN_HASHES + 5; i++) {
+      ({ refreshToken } = await rotateSession(refreshToken));
+    }
+
+    assert.equal(sessions[0].previousTokenHashes.length, Session.MAX_PREVIOUS_TOKEN_HASHES);
+  });
+
+  it('rejects unknown and missing refresh tokens', async () => {
+    assert.deepEqual(await rotateSession('not-a-real-token'), {
+      success: false,
+      error: 'Invalid or expired refresh token'
+    });
+    assert.deepEqual(await rotateSession(undefined), {
+      success: false,
+      error: 'Invalid refresh token'
+    });
+  });
+});
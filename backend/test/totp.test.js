@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    // The RFC lists 8-digit codes; these are their last 6 digits
+    assert.equal(totp.generateHotp(RFC_SECRET, totp.getTimeStep(59 * 1000)), '287082');
+    assert.equal(totp.generateHotp(RFC_SECRET, totp.getTimeStep(1111111109 * 1000)), '081804');
+    assert.equal(totp.generateHotp(RFC_SECRET, totp.getTimeStep(2000000000 * 1000)), '279037');
+  });
+
+  it('accepts codes one step either side of now, and no further', () => {
+    const secret = totp.generateSecret();
+    const step = totp.getTimeStep();
+
+    assert.equal(totp.verifyTotp(secret, totp.generateHotp(secret, step - 1)), step - 1);
+    assert.equal(totp.verifyTotp(secret, totp.generateHotp(secret, step + 1)), step + 1);
+    assert.equal(totp.verifyTotp(secret, totp.generateHotp(secret, step - 2)), null);
+  });
+
+  it('rejects codes at or before the last used step', () => {
+    const secret = totp.generateSecret();
+    const step = totp.getTimeStep();
+    const code = totp.generateHotp(secret, step);
+
+    assert.equal(totp.verifyTotp(secret, code, step), null);
+    assert.equal(totp.verifyTotp(secret, code, step - 1), step);
+  });
+
+  it('ignores spaces and rejects codes that are not six digits', () => {
+    const secret = totp.generateSecret();
+    const code = totp.generateHotp(secret, totp.getTimeStep());
+
+    assert.notEqual(totp.verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`), null);
+    assert.equal(totp.verifyTotp(secret, code.slice(1)), null);
+    assert.equal(totp.verifyTotp(secret, 'abcdef'), null);
+  });
+
+  it('hashes backup codes regardless of case and separators', () => {
+    const { codes, hashes } = totp.generateBackupCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    assert.equal(totp.hashBackupCode(codes[0].toUpperCase().replace('-', ' ')), hashes[0]);
+  });
+});
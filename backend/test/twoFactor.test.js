@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { fakeQuery, fakeWrites, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const Setting = require('../models/Setting');
+const totp = require('../utils/totp');
+const { generateChallengeToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const PASSWORD = 'Correct-horse-7';
+
+describe('two-factor sign-in', () => {
+  let server;
+  let user;
+  let secret;
+  let backupCodes;
+
+  before(async () => {
+    server = await startServer('/api/auth', authRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    secret = totp.generateSecret();
+    const generated = totp.generateBackupCodes();
+    backupCodes = generated.codes;
+    user = new User({
+      name: 'Test Learner',
+      email: 'learner@example.com',
+      security: { twoFactorEnabled: true, twoFactorSecret: secret, twoFactorBackupCodes: generated.hashes }
+    });
+    // A low bcrypt cost keeps the tests quick
+    user.password = await bcrypt.hash(PASSWORD, 4);
+
+    fakeWrites(User, Session, AuthEvent);
+    mock.method(User, 'findOne', () => fakeQuery(user));
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(Setting, 'getValue', async (key, defaultValue) => defaultValue);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const completeChallenge = (code) => server.request('POST', '/api/auth/2fa/challenge', {
+    body: { challengeToken: generateChallengeToken(user._id), code }
+  });
+
+  it('asks for a code after the password instead of signing in', async () => {
+    const response = await server.request('POST', '/api/auth/login', {
+      body: { email: 'learner@example.com', password: PASSWORD }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.twoFactorRequired, true);
+    assert.ok(response.body.challengeToken);
+    assert.equal(response.body.token, undefined);
+  });
+
+  it('signs in with the current authenticator code', async () => {
+    const response = await completeChallenge(totp.generateHotp(secret, totp.getTimeStep()));
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+  });
+
+  it('does not accept the same authenticator code twice', async () => {
+    const code = totp.generateHotp(secret, totp.getTimeStep());
+    await completeChallenge(code);
+
+    const replay = await completeChallenge(code);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, 'Invalid authentication code');
+  });
+
+  it('accepts each backup code once', async () => {
+    const first = await completeChallenge(backupCodes[0]);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.backupCodesRemaining, backupCodes.length - 1);
+
+    const reused = await completeChallenge(backupCodes[0]);
+    assert.equal(reused.status, 401);
+  });
+
+  it('accepts backup codes typed without the dash or in capitals', async () => {
+    const response = await completeChallenge(backupCodes[1].replace('-', '').toUpperCase());
+    assert.equal(response.status, 200);
+  });
+
+  it('rejects an expired or forged challenge token', async () => {
+    const response = await server.request('POST', '/api/auth/2fa/challenge', {
+      body: { challengeToken: 'not-a-token', code: totp.generateHotp(secret, totp.getTimeStep()) }
+    });
+    assert.equal(response.status, 401);
+  });
+
+  describe('for an account pending deletion', () => {
+    beforeEach(() => {
+      user.deletedAt = new Date();
+      user.deletionScheduledFor = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('does not hand out a restore token for the password alone', async () => {
+      const response = await server.request('POST', '/api/auth/login', {
+        body: { email: 'learner@example.com', password: PASSWORD }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.twoFactorRequired, true);
+      assert.equal(response.body.restoreToken, undefined);
+    });
+
+    it('offers the restore after the code, and restoring signs in without asking again', async () => {
+      const challenged = await completeChallenge(totp.generateHotp(secret, totp.getTimeStep()));
+      assert.equal(challenged.status, 403);
+      assert.equal(challenged.body.code, 'ACCOUNT_DELETION_PENDING');
+      assert.equal(challenged.body.token, undefined);
+
+      const restored = await server.request('POST', '/api/auth/cancel-deletion', {
+        body: { restoreToken: challenged.body.restoreToken }
+      });
+      assert.equal(restored.status, 200);
+      assert.ok(restored.body.token);
+      assert.equal(user.isDeletionPending, false);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const AuthEvent = require('../models/AuthEvent');
+
+/**
+ * Write an entry to the authentication audit log. Failures are logged and
+ * swallowed so auditing can never break the request being audited.
+ * @param {import('express').Request} req - Supplies the IP and user agent
+ * @param {string} event - One of AuthEvent.AUTH_EVENT_TYPES
+ * @param {Object} [details]
+ * @param {Object} [details.user] - User document (or anything with _id and email)
+ * @param {string} [details.email] - Address used when there is no matching user
+ * @param {string} [details.reason] - Why a login failed
+ * @param {string} [details.actor] - ID of whoever made the change, if not the user
+ * @param {Object} [details.metadata] - Event-specific details
+ * @returns {Promise<void>}
+ */
+async function recordAuthEvent(req, event, { user, email, reason, actor, metadata } = {}) {
+  try {
+    await AuthEvent.create({
+      event,
+      user: user?._id || null,
+      email: user?.email || email || '',
+      reason,
+      actor,
+      ip: req.ip || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, 500),
+      metadata
+    });
+  } catch (error) {
+    console.error('Auth audit error:', error);
+  }
+}
+
+module.exports = {
+  recordAuthEvent
+};
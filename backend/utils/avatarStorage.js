@@ -0,0 +1,56 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Avatars are resized to a square WebP and stored on local disk, served by
+// server.js under AVATAR_PUBLIC_PATH
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
+const AVATAR_PUBLIC_PATH = '/uploads/avatars';
+const AVATAR_SIZE = 256;
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Resize an uploaded image and write it to disk
+ * @param {string} userId
+ * @param {Buffer} buffer - Raw uploaded file
+ * @returns {Promise<string>} Public path of the stored avatar
+ */
+async function saveAvatar(userId, buffer) {
+  const image = await sharp(buffer)
+    .rotate() // Respect EXIF orientation from phone cameras
+    .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+    .webp({ quality: 85 })
+    .toBuffer();
+
+  const filename = `${userId}-${crypto.randomBytes(8).toString('hex')}.webp`;
+  await fs.mkdir(AVATAR_DIR, { recursive: true });
+  await fs.writeFile(path.join(AVATAR_DIR, filename), image);
+
+  return `${AVATAR_PUBLIC_PATH}/${filename}`;
+}
+
+/**
+ * Delete a stored avatar. Avatars hosted elsewhere (e.g. from OAuth providers) are ignored.
+ * @param {string} avatarPath - Value of profile.avatar
+ * @returns {Promise<void>}
+ */
+async function removeAvatar(avatarPath) {
+  if (!avatarPath || !avatarPath.startsWith(`${AVATAR_PUBLIC_PATH}/`)) {
+    return;
+  }
+  const filename = path.basename(avatarPath);
+  await fs.unlink(path.join(AVATAR_DIR, filename)).catch((error) => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  AVATAR_MAX_BYTES,
+  AVATAR_MIME_TYPES,
+  saveAvatar,
+  removeAvatar
+};
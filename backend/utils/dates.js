@@ -0,0 +1,81 @@
+// Calendar-day helpers. Days are 'YYYY-MM-DD' keys in a given IANA time zone,
+// so "today" means the user's today rather than the server's.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA time zone the runtime knows about
+ * @param {string} timeZone - e.g. 'Europe/Berlin'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar day a moment falls on in a time zone
+ * @param {Date} date
+ * @param {string} [timeZone='UTC']
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getDayKey(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Count the calendar days from one day key to another
+ * @param {string} fromKey - 'YYYY-MM-DD'
+ * @param {string} toKey - 'YYYY-MM-DD'
+ * @returns {number} Negative if toKey is earlier
+ */
+function daysBetween(fromKey, toKey) {
+  const toDayNumber = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+  };
+  return toDayNumber(toKey) - toDayNumber(fromKey);
+}
+
+/**
+ * Move a day key forwards or backwards by whole days
+ * @param {string} dayKey - 'YYYY-MM-DD'
+ * @param {number} days - Negative to go back
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(dayKey, days) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the Monday of the week a day falls in
+ * @param {string} dayKey - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getWeekStartKey(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(dayKey, -((weekday + 6) % 7));
+}
+
+module.exports = {
+  isValidTimeZone,
+  getDayKey,
+  daysBetween,
+  addDays,
+  getWeekStartKey
+};
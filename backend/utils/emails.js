@@ -0,0 +1,134 @@
+const { sendMail } = require('./mailer');
+
+// Base URL of the React app, used to build links in emails
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Email a password reset link
+ * @param {Object} user - The user requesting the reset
+ * @param {string} resetToken - The raw (unhashed) reset token
+ * @returns {Promise<Object>}
+ */
+function sendPasswordResetEmail(user, resetToken) {
+  const resetUrl = `${CLIENT_URL}/reset-password/${resetToken}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Skill Enhancement password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      'The link expires in 10 minutes. If you did not request a reset, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${resetUrl}">Reset my password</a></p>
+<p>The link expires in 10 minutes. If you did not request a reset, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Email a link that confirms ownership of the address
+ * @param {Object} user - The user whose address needs confirming
+ * @param {string} verificationToken - The raw (unhashed) verification token
+ * @returns {Promise<Object>}
+ */
+function sendVerificationEmail(user, verificationToken) {
+  const verifyUrl = `${CLIENT_URL}/verify-email/${verificationToken}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your Skill Enhancement email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      'The link expires in 24 hours.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address by clicking the link below:</p>
+<p><a href="${verifyUrl}">Confirm my email</a></p>
+<p>The link expires in 24 hours.</p>`
+  });
+}
+
+/**
+ * Confirm that the account will be deleted, and how to change one's mind
+ * @param {Object} user - The user who requested deletion
+ * @returns {Promise<Object>}
+ */
+function sendAccountDeletionEmail(user) {
+  const loginUrl = `${CLIENT_URL}/login`;
+  const deletionDate = user.deletionScheduledFor.toDateString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Skill Enhancement account is scheduled for deletion',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Your account will be permanently deleted on ${deletionDate}.`,
+      `Changed your mind? Log in before then and choose to restore it: ${loginUrl}`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Your account will be permanently deleted on ${deletionDate}.</p>
+<p>Changed your mind? <a href="${loginUrl}">Log in</a> before then and choose to restore it.</p>`
+  });
+}
+
+/**
+ * Email a single-use sign-in link
+ * @param {Object} recipient - `email` and `name` of the person signing in
+ * @param {string} linkToken - The raw (unhashed) link token
+ * @param {Object} options
+ * @param {boolean} options.isNewAccount - Whether using the link creates an account
+ * @param {number} options.expiresInMinutes - How long the link works for
+ * @returns {Promise<Object>}
+ */
+function sendMagicLinkEmail(recipient, linkToken, { isNewAccount, expiresInMinutes }) {
+  const signInUrl = `${CLIENT_URL}/magic-link/${linkToken}`;
+  const action = isNewAccount ? 'create your account and sign in' : 'sign in';
+
+  return sendMail({
+    to: recipient.email,
+    subject: 'Your Skill Enhancement sign-in link',
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      `Open the link below to ${action}. No password needed:`,
+      signInUrl,
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(recipient.name)},</p>
+<p>Click the button below to ${action}. No password needed.</p>
+<p><a href="${signInUrl}">Sign me in</a></p>
+<p>The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Escape user-provided text for inclusion in HTML emails
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  CLIENT_URL,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountDeletionEmail,
+  sendMagicLinkEmail
+};
@@ -0,0 +1,123 @@
+// GitHub OAuth (authorization code flow). Provider URLs are configurable so the
+// flow can run against a local mock provider instead of github.com.
+const GITHUB_AUTHORIZE_URL = process.env.GITHUB_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize';
+const GITHUB_TOKEN_URL = process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token';
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const GITHUB_CALLBACK_URL = process.env.GITHUB_CALLBACK_URL || 'http://localhost:5000/api/auth/github/callback';
+const GITHUB_SCOPES = 'read:user user:email';
+
+/**
+ * Get the OAuth app credentials
+ * @returns {{clientId: string, clientSecret: string}}
+ */
+function getGithubCredentials() {
+  const clientId = process.env.GITHUB_CLIENT_ID;
+  const clientSecret = process.env.GITHUB_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new Error('GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET must be defined in environment variables');
+  }
+  return { clientId, clientSecret };
+}
+
+/**
+ * Whether GitHub login has been configured
+ * @returns {boolean}
+ */
+function isGithubConfigured() {
+  return !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+}
+
+/**
+ * Build the URL that sends the user to GitHub to approve the login
+ * @param {string} state - Anti-CSRF value echoed back to the callback
+ * @returns {string}
+ */
+function buildAuthorizeUrl(state) {
+  const { clientId } = getGithubCredentials();
+  const params = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: GITHUB_CALLBACK_URL,
+    scope: GITHUB_SCOPES,
+    state,
+    allow_signup: 'true'
+  });
+  return `${GITHUB_AUTHORIZE_URL}?${params}`;
+}
+
+/**
+ * Call a GitHub API endpoint with an access token
+ * @param {string} path - e.g. '/user'
+ * @param {string} accessToken
+ * @returns {Promise<Object>}
+ */
+async function githubApi(path, accessToken) {
+  const response = await fetch(`${GITHUB_API_URL}${path}`, {
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${accessToken}`,
+      'User-Agent': 'skill-enhancement-platform'
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`GitHub API ${path} failed (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Exchange an authorization code for an access token
+ * @param {string} code - Code from the callback query string
+ * @returns {Promise<string>}
+ */
+async function exchangeCode(code) {
+  const { clientId, clientSecret } = getGithubCredentials();
+  const response = await fetch(GITHUB_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      client_id: clientId,
+      client_secret: clientSecret,
+      code,
+      redirect_uri: GITHUB_CALLBACK_URL
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new Error(data.error_description || data.error || `Token exchange failed (${response.status})`);
+  }
+  return data.access_token;
+}
+
+/**
+ * Fetch the GitHub profile and verified primary email for an access token
+ * @param {string} accessToken
+ * @returns {Promise<{githubId: string, login: string, name: string, avatar: string, email: string|null}>}
+ */
+async function fetchGithubProfile(accessToken) {
+  const [profile, emails] = await Promise.all([
+    githubApi('/user', accessToken),
+    githubApi('/user/emails', accessToken)
+  ]);
+
+  // Only the verified primary address may be used to link or create an account
+  const primary = (Array.isArray(emails) ? emails : []).find(entry => entry.primary && entry.verified);
+
+  return {
+    githubId: String(profile.id),
+    login: profile.login,
+    name: profile.name || profile.login,
+    avatar: profile.avatar_url || '',
+    email: primary ? primary.email.toLowerCase() : null
+  };
+}
+
+module.exports = {
+  isGithubConfigured,
+  buildAuthorizeUrl,
+  exchangeCode,
+  fetchGithubProfile
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Google signs ID tokens with rotating RSA keys published as a JWKS document.
+// GOOGLE_CLIENT_ID may list several client IDs (comma-separated), e.g. web and mobile.
+const GOOGLE_JWKS_URI = process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_KEY_CACHE_SECONDS = 60 * 60;
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000; // Unknown key IDs trigger at most one refetch a minute
+
+/**
+ * Get the OAuth client IDs ID tokens must be issued for
+ * @returns {string[]}
+ */
+function getGoogleClientIds() {
+  return (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turn a list of JWKs into a map of key ID to public key
+ * @param {{keys: Object[]}} jwks
+ * @returns {Map<string, crypto.KeyObject>}
+ */
+function importJwks(jwks) {
+  const keys = new Map();
+  for (const jwk of jwks?.keys || []) {
+    if (jwk.kty === 'RSA' && jwk.kid) {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+  return keys;
+}
+
+/**
+ * Read the max-age from a Cache-Control header
+ * @param {string|null} header
+ * @returns {number} Seconds
+ */
+function getMaxAge(header) {
+  const match = /max-age=(\d+)/i.exec(header || '');
+  return match ? parseInt(match[1], 10) : DEFAULT_KEY_CACHE_SECONDS;
+}
+
+/**
+ * Create a key source that downloads and caches a JWKS document
+ * @param {string} uri - JWKS endpoint
+ * @returns {{getKey: function(string): Promise<crypto.KeyObject|null>}}
+ */
+function createRemoteKeySource(uri = GOOGLE_JWKS_URI) {
+  let keys = new Map();
+  let expiresAt = 0;
+  let fetchedAt = 0;
+  let pending = null;
+
+  const refresh = () => {
+    if (!pending) {
+      pending = fetch(uri)
+        .then(async (response) => {
+          if (!response.ok) {
+            throw new Error(`Failed to fetch signing keys (${response.status})`);
+          }
+          keys = importJwks(await response.json());
+          fetchedAt = Date.now();
+          expiresAt = fetchedAt + getMaxAge(response.headers.get('cache-control')) * 1000;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+
+  return {
+    async getKey(kid) {
+      const stale = Date.now() >= expiresAt;
+      // Google may have rotated keys since we last looked
+      const unknownKid = !keys.has(kid) && Date.now() - fetchedAt >= MIN_REFETCH_INTERVAL_MS;
+      if (stale || unknownKid) {
+        await refresh();
+      }
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+/**
+ * Create a key source backed by a fixed JWKS document (e.g. a local key set)
+ * @param {{keys: Object[]}} jwks
+ * @returns {{getKey: function(string): Promise<crypto.KeyObject|null>}}
+ */
+function createStaticKeySource(jwks) {
+  const keys = importJwks(jwks);
+  return {
+    async getKey(kid) {
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+let activeKeySource = null;
+
+/**
+ * Replace the source of Google signing keys
+ * @param {{getKey: function(string): Promise<Object|null>}} keySource
+ */
+function setKeySource(keySource) {
+  if (!keySource || typeof keySource.getKey !== 'function') {
+    throw new Error('A key source must implement getKey(kid)');
+  }
+  activeKeySource = keySource;
+}
+
+/**
+ * Get the configured key source, creating the remote one on first use
+ * @returns {Object}
+ */
+function getKeySource() {
+  if (!activeKeySource) {
+    activeKeySource = createRemoteKeySource();
+  }
+  return activeKeySource;
+}
+
+/**
+ * Verify a Google ID token and return its claims
+ * @param {string} idToken - The credential returned by Google Identity Services
+ * @returns {Promise<{sub: string, email: string, email_verified: boolean, name?: string, picture?: string}>}
+ */
+async function verifyGoogleIdToken(idToken) {
+  const audience = getGoogleClientIds();
+  if (audience.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID is not defined in environment variables');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new jwt.JsonWebTokenError('Malformed ID token');
+  }
+
+  const key = await getKeySource().getKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
+  // Checks signature, expiry, audience and issuer
+  const payload = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    audience,
+    issuer: GOOGLE_ISSUERS
+  });
+
+  if (!payload.sub || !payload.email) {
+    throw new jwt.JsonWebTokenError('ID token is missing required claims');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  verifyGoogleIdToken,
+  setKeySource,
+  createRemoteKeySource,
+  createStaticKeySource
+};
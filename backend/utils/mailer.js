@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Transport is chosen with MAIL_TRANSPORT: 'outbox' (default outside production)
+// writes each message as a JSON file, 'console' logs it, 'smtp' delivers it.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'Skill Enhancement <no-reply@skillenhancement.com>';
+
+/**
+ * Create a transport that writes messages to a local directory
+ * @param {string} directory - Where message files are written
+ * @returns {{name: string, send: function(Object): Promise<{messageId: string}>}}
+ */
+function createOutboxTransport(directory = MAIL_OUTBOX_DIR) {
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(directory, `${messageId}.json`);
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+
+      return { messageId, file };
+    }
+  };
+}
+
+/**
+ * Create a transport that prints messages to the console
+ * @returns {{name: string, send: function(Object): Promise<{messageId: string}>}}
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Create a transport that delivers messages over SMTP
+ * @param {Object} options - nodemailer SMTP options (defaults to SMTP_* env vars)
+ * @returns {{name: string, send: function(Object): Promise<{messageId: string}>}}
+ */
+function createSmtpTransport(options) {
+  const transporter = nodemailer.createTransport(options || {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+const transportFactories = {
+  outbox: () => createOutboxTransport(),
+  console: () => createConsoleTransport(),
+  smtp: () => createSmtpTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object}
+ */
+function getTransport() {
+  if (!activeTransport) {
+    const factory = transportFactories[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the active transport (e.g. with a custom provider or a test double)
+ * @param {{send: function(Object): Promise<Object>}} transport
+ */
+function setTransport(transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('A mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendMail(message) {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createOutboxTransport,
+  createConsoleTransport,
+  createSmtpTransport
+};
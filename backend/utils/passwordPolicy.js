@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// The one place password rules are defined. Registration, password change and
+// reset all check new passwords here, and the User schema takes its length
+// limits from it.
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const RECOMMENDED_PASSWORD_LENGTH = 12;
+// How many of an account's most recent passwords cannot be chosen again
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5;
+// SHA-1 hashes of known breached passwords. Point this at a larger list (for
+// example a Have I Been Pwned download) to check against more of them.
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE ||
+  path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+const HASH_PREFIX_LENGTH = 5;
+const STRENGTH_LABELS = ['very_weak', 'weak', 'fair', 'strong', 'very_strong'];
+
+// Loaded on first use: hash prefix -> set of hash suffixes
+let breachedHashesPromise = null;
+
+/**
+ * Load the breached password list, grouped by hash prefix
+ * @returns {Promise<Map<string, Set<string>>>}
+ */
+async function loadBreachedHashes() {
+  const byPrefix = new Map();
+  let contents;
+  try {
+    contents = await fs.readFile(BREACHED_PASSWORDS_FILE, 'utf8');
+  } catch (error) {
+    console.error('Breached password list could not be loaded:', error.message);
+    return byPrefix;
+  }
+
+  for (const line of contents.split('\n')) {
+    const hash = line.split(':')[0].trim().toUpperCase();
+    if (!/^[0-9A-F]{40}$/.test(hash)) continue;
+
+    const prefix = hash.slice(0, HASH_PREFIX_LENGTH);
+    if (!byPrefix.has(prefix)) byPrefix.set(prefix, new Set());
+    byPrefix.get(prefix).add(hash.slice(HASH_PREFIX_LENGTH));
+  }
+  return byPrefix;
+}
+
+/**
+ * Check a password against the bundled breached password list. Only the hash
+ * is compared, looked up by its prefix; nothing leaves the server.
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function isBreachedPassword(password) {
+  if (!breachedHashesPromise) {
+    breachedHashesPromise = loadBreachedHashes();
+  }
+  const byPrefix = await breachedHashesPromise;
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const suffixes = byPrefix.get(hash.slice(0, HASH_PREFIX_LENGTH));
+  return !!suffixes && suffixes.has(hash.slice(HASH_PREFIX_LENGTH));
+}
+
+/**
+ * Parts of the account holder's name and email that a password should not contain
+ * @param {Object} [account]
+ * @param {string} [account.email]
+ * @param {string} [account.name]
+ * @returns {string[]} Lowercased fragments of at least 3 characters
+ */
+function getPersonalFragments({ email, name } = {}) {
+  const fragments = [];
+  if (email) fragments.push(String(email).split('@')[0]);
+  if (name) fragments.push(...String(name).split(/\s+/));
+  return fragments
+    .map(fragment => fragment.toLowerCase())
+    .filter(fragment => fragment.length >= 3);
+}
+
+/**
+ * Score a password from 0 (very weak) to 4 (very strong) on length, variety
+ * of characters and obvious patterns
+ * @param {string} password
+ * @returns {number}
+ */
+function scorePassword(password) {
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/]
+    .filter(pattern => pattern.test(password)).length;
+
+  let score = 0;
+  if (password.length >= MIN_PASSWORD_LENGTH) score++;
+  if (password.length >= RECOMMENDED_PASSWORD_LENGTH) score++;
+  if (password.length >= 16) score++;
+  if (classes >= 3) score++;
+  if (classes === 4) score++;
+
+  // Runs like "aaa" or "123" add little
+  if (/(.)\1\1/.test(password) || /(012|123|234|345|456|567|678|789|abc|qwe|asd)/i.test(password)) {
+    score--;
+  }
+
+  return Math.max(0, Math.min(score, STRENGTH_LABELS.length - 1));
+}
+
+/**
+ * Check a password against the policy and describe how strong it is
+ * @param {string} password
+ * @param {Object} [account] - Name and email of the account it is for, if known
+ * @param {string} [account.email]
+ * @param {string} [account.name]
+ * @returns {Promise<{valid: boolean, score: number, strength: string, breached: boolean,
+ *   requirements: Array<{id: string, label: string, met: boolean}>, errors: string[], suggestions: string[]}>}
+ */
+async function evaluatePassword(password, account = {}) {
+  const value = typeof password === 'string' ? password : '';
+  const lowered = value.toLowerCase();
+  const breached = value.length > 0 && await isBreachedPassword(value);
+  const containsPersonalInfo = getPersonalFragments(account).some(fragment => lowered.includes(fragment));
+
+  const requirements = [
+    {
+      id: 'length',
+      label: `Between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`,
+      met: value.length >= MIN_PASSWORD_LENGTH && value.length <= MAX_PASSWORD_LENGTH,
+      error: value.length > MAX_PASSWORD_LENGTH
+        ? `Password must be at most ${MAX_PASSWORD_LENGTH} characters`
+        : `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    },
+    {
+      id: 'lowercase',
+      label: 'A lowercase letter',
+      met: /[a-z]/.test(value),
+      error: 'Password must contain a lowercase letter'
+    },
+    {
+      id: 'uppercase',
+      label: 'An uppercase letter',
+      met: /[A-Z]/.test(value),
+      error: 'Password must contain an uppercase letter'
+    },
+    {
+      id: 'number',
+      label: 'A number',
+      met: /\d/.test(value),
+      error: 'Password must contain a number'
+    },
+    {
+      id: 'not_personal',
+      label: 'Does not contain your name or email',
+      met: !containsPersonalInfo,
+      error: 'Password must not contain your name or email address'
+    },
+    {
+      id: 'not_breached',
+      label: 'Not found in a known data breach',
+      met: !breached,
+      error: 'This password has appeared in a data breach. Please choose a different one'
+    }
+  ];
+
+  const valid = requirements.every(requirement => requirement.met);
+  // A password that breaks the rules is never reported as better than weak
+  const score = valid ? scorePassword(value) : Math.min(scorePassword(value), 1);
+
+  const suggestions = [];
+  if (value.length < RECOMMENDED_PASSWORD_LENGTH) {
+    suggestions.push(`Use ${RECOMMENDED_PASSWORD_LENGTH} or more characters`);
+  }
+  if (!/[^A-Za-z0-9]/.test(value)) {
+    suggestions.push('Add a symbol such as ! or #');
+  }
+  if (/(.)\1\1/.test(value)) {
+    suggestions.push('Avoid repeating the same character');
+  }
+
+  return {
+    valid,
+    score,
+    strength: STRENGTH_LABELS[score],
+    breached,
+    requirements: requirements.map(({ id, label, met }) => ({ id, label, met })),
+    errors: requirements.filter(requirement => !requirement.met).map(requirement => requirement.error),
+    suggestions
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  PASSWORD_HISTORY_SIZE,
+  evaluatePassword,
+  isBreachedPassword
+};
@@ -0,0 +1,69 @@
+// Permissions granted to each role. Admins implicitly hold every permission.
+const PERMISSIONS = [
+  'skills.view',
+  'skills.create',
+  'skills.edit',
+  'skills.delete',
+  'resources.view',
+  'resources.create',
+  'resources.edit',
+  'resources.delete',
+  'resources.verify',
+  'resources.hide',
+  'stats.view',
+  'users.view',
+  'users.editRole',
+  'users.ban',
+  'users.unlock',
+  'users.impersonate',
+  'settings.manage',
+  'audit.view'
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  // Moderators keep the catalogue clean but cannot change content or users
+  moderator: [
+    'skills.view',
+    'resources.view',
+    'resources.verify',
+    'resources.hide',
+    'stats.view'
+  ],
+  // Instructors contribute content
+  instructor: [
+    'skills.view',
+    'skills.create',
+    'skills.edit',
+    'resources.view',
+    'resources.create',
+    'resources.edit'
+  ],
+  user: []
+};
+
+/**
+ * Get every permission a role grants
+ * @param {string} role
+ * @returns {string[]}
+ */
+function getPermissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission
+};
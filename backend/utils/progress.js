@@ -0,0 +1,22 @@
+/**
+ * Shape a learningProgress entry for API responses
+ * @param {Object} entry - Entry from User.learningProgress; skill may be populated
+ * @param {number} totalResources - Active, verified resources the skill has
+ * @returns {Object}
+ */
+function formatSkillProgress(entry, totalResources) {
+  return {
+    skill: entry.skill,
+    level: entry.level,
+    startedAt: entry.startedAt,
+    lastAccessedAt: entry.lastAccessedAt,
+    completedResources: entry.completedResources,
+    totalResources,
+    progressPercentage: entry.progressPercentage,
+    timeSpent: entry.timeSpent || 0
+  };
+}
+
+module.exports = {
+  formatSkillProgress
+};
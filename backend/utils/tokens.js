@@ -0,0 +1,281 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; long-lived access is granted through
+// rotating refresh tokens that are stored (hashed) in the sessions collection.
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+const OAUTH_LOGIN_EXPIRY = '2m';
+const ACCOUNT_RESTORE_EXPIRY = '10m';
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+// Two tabs (or a retried request) can send the same refresh token moments apart.
+// Within this window the token just rotated out still gets an access token.
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 30;
+
+/**
+ * Get the secret used to sign access tokens
+ * @returns {string}
+ */
+function getJwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return process.env.JWT_SECRET;
+}
+
+/**
+ * Compute the expiry date for a refresh token issued now
+ * @returns {Date}
+ */
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {string} userId - The user the token is issued to
+ * @param {string} sessionId - The session (refresh-token family) it belongs to
+ * @returns {string}
+ */
+function generateAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sid: sessionId, type: 'access' },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+}
+
+/**
+ * Start a new session and issue its first access/refresh token pair
+ * @param {string} userId - The user signing in
+ * @param {{userAgent?: string, ip?: string}} [client] - Device the session belongs to
+ * @returns {Promise<{session: Object, token: string, refreshToken: string}>}
+ */
+async function createSession(userId, client = {}) {
+  const refreshToken = Session.generateToken();
+
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    userAgent: (client.userAgent || '').slice(0, 500),
+    ip: client.ip || ''
+  });
+
+  return {
+    session,
+    token: generateAccessToken(userId, session._id),
+    refreshToken
+  };
+}
+
+/**
+ * Start a session in which an admin views the app as another user. The access
+ * token is flagged with the admin's ID and there is no refresh token: the
+ * session ends when the token expires.
+ * @param {string} userId - The user being viewed
+ * @param {string} impersonatorId - The admin doing the viewing
+ * @param {{userAgent?: string, ip?: string}} [client] - The admin's device
+ * @returns {Promise<{session: Object, token: string, expiresAt: Date}>}
+ */
+async function createImpersonationSession(userId, impersonatorId, client = {}) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const session = await Session.create({
+    user: userId,
+    impersonator: impersonatorId,
+    // Never handed out, so the session cannot be refreshed
+    refreshTokenHash: Session.hashToken(Session.generateToken()),
+    expiresAt,
+    userAgent: (client.userAgent || '').slice(0, 500),
+    ip: client.ip || ''
+  });
+
+  const token = jwt.sign(
+    { userId, sid: session._id, type: 'access', impersonatorId },
+    getJwtSecret(),
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+
+  return { session, token, expiresAt };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a refresh token that was already rotated out revokes the whole
+ * session, unless it is the one rotated out within the last
+ * REFRESH_REUSE_GRACE_SECONDS: that only gets a new access token, and the
+ * caller keeps the refresh token it already has.
+ * @param {string} refreshToken - The raw refresh token sent by the client
+ * @param {{ip?: string}} [client] - Where the refresh came from
+ * @returns {Promise<{success: boolean, session?: Object, token?: string, refreshToken?: string, error?: string}>}
+ */
+async function rotateSession(refreshToken, client = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  const tokenHash = Session.hashToken(refreshToken);
+  const newRefreshToken = Session.generateToken();
+
+  // Atomically swap the current token so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: Session.hashToken(newRefreshToken),
+        expiresAt: getRefreshExpiry(),
+        lastSeenAt: new Date(),
+        rotatedAt: new Date(),
+        ...(client.ip && { ip: client.ip })
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -Session.MAX_PREVIOUS_TOKEN_HASHES }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      success: true,
+      session,
+      token: generateAccessToken(session.user, session._id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  const rotatedOut = await Session.findOne({ previousTokenHashes: tokenHash }).select('+previousTokenHashes');
+  if (!rotatedOut) {
+    return { success: false, error: 'Invalid or expired refresh token' };
+  }
+
+  // The token rotated out moments ago: another tab refreshed first
+  const justRotatedOut = rotatedOut.previousTokenHashes[rotatedOut.previousTokenHashes.length - 1] === tokenHash &&
+    rotatedOut.rotatedAt && Date.now() - rotatedOut.rotatedAt < REFRESH_REUSE_GRACE_SECONDS * 1000;
+  if (justRotatedOut && rotatedOut.isValid) {
+    return {
+      success: true,
+      session: rotatedOut,
+      token: generateAccessToken(rotatedOut.user, rotatedOut._id)
+    };
+  }
+
+  // Any other rotated-out token being replayed means the family is compromised
+  await rotatedOut.revoke('token_reuse');
+  console.warn(`Refresh token reuse detected, session ${rotatedOut._id} revoked`);
+  return { success: false, error: 'Refresh token has already been used' };
+}
+
+/**
+ * Verify an access token and return its payload
+ * @param {string} token - The raw JWT
+ * @returns {Object} Decoded payload
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== 'access' || !decoded.sid) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+/**
+ * Sign a short-lived token proving the password step of a two-factor login succeeded
+ * @param {string} userId
+ * @returns {string}
+ */
+function generateChallengeToken(userId) {
+  return jwt.sign(
+    { userId, type: '2fa_challenge' },
+    getJwtSecret(),
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+}
+
+/**
+ * Verify a two-factor challenge token and return its payload
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ */
+function verifyChallengeToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== '2fa_challenge') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+/**
+ * Sign a very short-lived token handed to the client after an OAuth redirect,
+ * which it exchanges for a session
+ * @param {string} userId
+ * @returns {string}
+ */
+function generateOAuthLoginToken(userId) {
+  return jwt.sign(
+    { userId, type: 'oauth_login' },
+    getJwtSecret(),
+    { expiresIn: OAUTH_LOGIN_EXPIRY }
+  );
+}
+
+/**
+ * Verify an OAuth login token and return its payload
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ */
+function verifyOAuthLoginToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== 'oauth_login') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+/**
+ * Sign a short-lived token that lets a user who just proved their identity
+ * cancel the pending deletion of their account
+ * @param {string} userId
+ * @returns {string}
+ */
+function generateAccountRestoreToken(userId) {
+  return jwt.sign(
+    { userId, type: 'account_restore' },
+    getJwtSecret(),
+    { expiresIn: ACCOUNT_RESTORE_EXPIRY }
+  );
+}
+
+/**
+ * Verify an account restore token and return its payload
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ */
+function verifyAccountRestoreToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== 'account_restore') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRY,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateOAuthLoginToken,
+  verifyOAuthLoginToken,
+  generateAccountRestoreToken,
+  verifyAccountRestoreToken,
+  generateAccessToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  verifyAccessToken
+};
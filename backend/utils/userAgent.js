@@ -0,0 +1,54 @@
+// Rough user-agent parsing, good enough to label sessions ("Chrome on Windows").
+// Order matters: Edge and Opera also identify as Chrome, Chrome as Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/.*Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Find the first label whose pattern matches
+ * @param {Array<[string, RegExp]>} patterns
+ * @param {string} userAgent
+ * @returns {string|null}
+ */
+function match(patterns, userAgent) {
+  const found = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+}
+
+/**
+ * Describe the device a user-agent string belongs to
+ * @param {string} userAgent
+ * @returns {{browser: string|null, os: string|null, mobile: boolean, label: string}}
+ */
+function describeUserAgent(userAgent = '') {
+  const browser = match(BROWSERS, userAgent);
+  const os = match(OPERATING_SYSTEMS, userAgent);
+  const mobile = /Mobi|iPhone|iPod|Android.*Mobile/.test(userAgent);
+
+  let label = 'Unknown device';
+  if (browser && os) {
+    label = `${browser} on ${os}`;
+  } else if (browser || os) {
+    label = browser || os;
+  }
+
+  return { browser, os, mobile, label };
+}
+
+module.exports = {
+  describeUserAgent
+};
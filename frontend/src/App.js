@@ -3,24 +3,45 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider } from './context/AuthContext';
 import PrivateRoute from './components/PrivateRoute';
 import Navbar from './components/Navbar';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
+import AccountBlocked from './components/AccountBlocked';
+import ThemeManager from './components/ThemeManager';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import GithubCallback from './pages/GithubCallback';
+import MagicLinkRequest from './pages/MagicLinkRequest';
+import MagicLinkLogin from './pages/MagicLinkLogin';
 import Dashboard from './pages/Dashboard';
 import CategoryPage from './pages/CategoryPage';
 import SkillDetail from './pages/SkillDetail';
 import Bookmarks from './pages/Bookmarks';
 import AdminPanel from './pages/AdminPanel';
+import Security from './pages/Security';
+import Profile from './pages/Profile';
+import Settings from './pages/Settings';
 import './App.css';
 
 function App() {
   return (
     <AuthProvider>
+      <ThemeManager />
       <Router>
         <div className="App">
           <Navbar />
+          <EmailVerificationBanner />
+          <AccountBlocked />
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/auth/github/callback" element={<GithubCallback />} />
+            <Route path="/magic-link" element={<MagicLinkRequest />} />
+            <Route path="/magic-link/:token" element={<MagicLinkLogin />} />
             <Route
               path="/dashboard"
               element={
@@ -61,6 +82,30 @@ function App() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/profile"
+              element={
+                <PrivateRoute>
+                  <Profile />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/settings"
+              element={
+                <PrivateRoute>
+                  <Settings />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/security"
+              element={
+                <PrivateRoute>
+                  <Security />
+                </PrivateRoute>
+              }
+            />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
           </Routes>
         </div>
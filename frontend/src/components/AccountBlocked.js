@@ -0,0 +1,54 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './AccountBlocked.css';
+
+const AccountBlocked = () => {
+  const { accountBlock, dismissAccountBlock } = useAuth();
+  const navigate = useNavigate();
+
+  if (!accountBlock) {
+    return null;
+  }
+
+  const isBanned = accountBlock.code === 'ACCOUNT_BANNED';
+
+  const handleClose = () => {
+    dismissAccountBlock();
+    navigate('/login');
+  };
+
+  return (
+    <div className="account-blocked" role="alertdialog" aria-labelledby="account-blocked-title">
+      <div className="account-blocked-card">
+        <div className="account-blocked-icon">{isBanned ? '⛔' : '🚫'}</div>
+        <h1 id="account-blocked-title">
+          {isBanned ? 'Account Suspended' : 'Account Deactivated'}
+        </h1>
+        <p>{accountBlock.message}</p>
+
+        {isBanned && accountBlock.banReason && (
+          <div className="account-blocked-reason">
+            <strong>Reason:</strong> {accountBlock.banReason}
+          </div>
+        )}
+
+        {isBanned && accountBlock.bannedUntil && (
+          <p className="account-blocked-until">
+            You can sign in again after {new Date(accountBlock.bannedUntil).toLocaleString()}.
+          </p>
+        )}
+
+        <p className="account-blocked-help">
+          If you think this is a mistake, please contact support.
+        </p>
+
+        <button onClick={handleClose} className="btn btn-primary btn-block">
+          Back to Login
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AccountBlocked;
@@ -0,0 +1,24 @@
+import React from 'react';
+import './Avatar.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// Uploaded avatars are served by the API server, outside /api
+const API_ORIGIN = API_URL.replace(/\/api\/?$/, '');
+
+// User avatar; falls back to the first letter of the name
+const Avatar = ({ src, name = '', size = 40 }) => {
+  const url = src && src.startsWith('/') ? `${API_ORIGIN}${src}` : src;
+  const style = { width: size, height: size, fontSize: Math.round(size * 0.45) };
+
+  if (url) {
+    return <img src={url} alt="" className="avatar" style={style} />;
+  }
+
+  return (
+    <span className="avatar avatar-initials" style={style} aria-hidden="true">
+      {name.trim().charAt(0).toUpperCase() || '?'}
+    </span>
+  );
+};
+
+export default Avatar;
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import './EmailVerificationBanner.css';
+
+const EmailVerificationBanner = () => {
+  const { isAuthenticated, user, resendVerificationEmail } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || user?.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerificationEmail();
+    setStatus(result);
+    setSending(false);
+  };
+
+  return (
+    <div className="verification-banner" role="status">
+      <span>
+        📧 Please confirm your email address <strong>{user?.email}</strong> using the link we sent you.
+      </span>
+      {status ? (
+        <span className={status.success ? 'verification-banner-success' : 'verification-banner-error'}>
+          {status.message}
+        </span>
+      ) : (
+        <button
+          onClick={handleResend}
+          className="verification-banner-btn"
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,73 @@
+import React, { useEffect, useRef } from 'react';
+
+const GOOGLE_CLIENT_ID = process.env.REACT_APP_GOOGLE_CLIENT_ID;
+const GOOGLE_SCRIPT_SRC = 'https://accounts.google.com/gsi/client';
+
+let scriptPromise = null;
+
+// Load the Google Identity Services script once per page
+const loadGoogleScript = () => {
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = GOOGLE_SCRIPT_SRC;
+      script.async = true;
+      script.defer = true;
+      script.onload = resolve;
+      script.onerror = () => {
+        scriptPromise = null;
+        reject(new Error('Failed to load Google sign-in'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return scriptPromise;
+};
+
+// Renders Google's sign-in button and passes the signed ID token (credential) to onCredential
+const GoogleSignInButton = ({ onCredential, onError }) => {
+  const buttonRef = useRef(null);
+  const callbackRef = useRef(onCredential);
+  callbackRef.current = onCredential;
+
+  useEffect(() => {
+    if (!GOOGLE_CLIENT_ID) return undefined;
+
+    let cancelled = false;
+    loadGoogleScript()
+      .then(() => {
+        if (cancelled || !buttonRef.current) return;
+        window.google.accounts.id.initialize({
+          client_id: GOOGLE_CLIENT_ID,
+          callback: (response) => callbackRef.current(response.credential)
+        });
+        window.google.accounts.id.renderButton(buttonRef.current, {
+          theme: 'outline',
+          size: 'large',
+          text: 'continue_with',
+          width: buttonRef.current.offsetWidth || 320
+        });
+      })
+      .catch((error) => onError?.(error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [onError]);
+
+  if (!GOOGLE_CLIENT_ID) {
+    return (
+      <button
+        type="button"
+        onClick={() => onError?.('Google sign-in is not configured. Please use email/password for now.')}
+        className="btn btn-secondary btn-block"
+      >
+        Continue with Google
+      </button>
+    );
+  }
+
+  return <div ref={buttonRef} className="google-signin-button" />;
+};
+
+export default GoogleSignInButton;
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import Avatar from './Avatar';
 import './Navbar.css';
 
 const Navbar = () => {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, canAccessAdmin, stopImpersonation } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -19,6 +20,11 @@ const Navbar = () => {
     navigate('/login');
   };
 
+  const handleExitImpersonation = async () => {
+    await stopImpersonation();
+    navigate('/admin');
+  };
+
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
   };
@@ -29,6 +35,17 @@ const Navbar = () => {
 
   return (
     <nav className="navbar">
+      {user?.impersonation && (
+        <div className="navbar-impersonation-banner" role="status">
+          <span>
+            You are viewing as <strong>{user.name}</strong> ({user.email}) — read-only
+          </span>
+          <button onClick={handleExitImpersonation} className="navbar-impersonation-exit">
+            Exit
+          </button>
+        </div>
+      )}
+
       <div className="navbar-container">
         {/* Logo */}
         <Link to={isAuthenticated ? "/dashboard" : "/"} className="navbar-logo">
@@ -53,7 +70,28 @@ const Navbar = () => {
                 Bookmarks
               </Link>
 
-              {user?.role === 'admin' && (
+              <Link 
+                to="/profile" 
+                className={`navbar-link ${isActiveLink('/profile') ? 'navbar-link-active' : ''}`}
+              >
+                Profile
+              </Link>
+
+              <Link 
+                to="/security" 
+                className={`navbar-link ${isActiveLink('/security') ? 'navbar-link-active' : ''}`}
+              >
+                Security
+              </Link>
+
+              <Link
+                to="/settings"
+                className={`navbar-link ${isActiveLink('/settings') ? 'navbar-link-active' : ''}`}
+              >
+                Settings
+              </Link>
+
+              {canAccessAdmin && (
                 <Link 
                   to="/admin" 
                   className={`navbar-link ${isActiveLink('/admin') ? 'navbar-link-active' : ''}`}
@@ -62,7 +100,19 @@ const Navbar = () => {
                 </Link>
               )}
 
-              <span className="navbar-username">{user?.name}</span>
+              {user?.streak && (
+                <span
+                  className={`navbar-streak ${user.streak.activeToday ? 'navbar-streak-active' : ''}`}
+                  title={`Longest streak: ${user.streak.longest} days · Streak freezes: ${user.streak.freezes}/${user.streak.maxFreezes}`}
+                >
+                  🔥 {user.streak.current} day{user.streak.current === 1 ? '' : 's'}
+                </span>
+              )}
+
+              <span className="navbar-username">
+                <Avatar src={user?.avatar} name={user?.name} size={24} />
+                {user?.name}
+              </span>
               
               <button onClick={handleLogout} className="navbar-logout-btn">
                 Logout
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import './PasswordStrength.css';
+
+const CHECK_DELAY_MS = 300;
+
+const STRENGTH_LABELS = {
+  very_weak: 'Very weak',
+  weak: 'Weak',
+  fair: 'Fair',
+  strong: 'Strong',
+  very_strong: 'Very strong'
+};
+
+// Live feedback on a new password from the server's password policy. The
+// latest feedback is passed to onFeedback so the form can block weak passwords.
+const PasswordStrength = ({ password, email, name, onFeedback }) => {
+  const { checkPasswordStrength } = useAuth();
+  const [feedback, setFeedback] = useState(null);
+
+  useEffect(() => {
+    if (!password) {
+      setFeedback(null);
+      onFeedback?.(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await checkPasswordStrength(password, { email, name });
+      if (!cancelled && result.success) {
+        setFeedback(result.feedback);
+        onFeedback?.(result.feedback);
+      }
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [password, email, name, checkPasswordStrength, onFeedback]);
+
+  if (!feedback) return null;
+
+  return (
+    <div className="password-strength" aria-live="polite">
+      <div className="password-strength-bar">
+        <div
+          className={`password-strength-fill password-strength-${feedback.strength}`}
+          style={{ width: `${((feedback.score + 1) / 5) * 100}%` }}
+        />
+      </div>
+      <span className="password-strength-label">{STRENGTH_LABELS[feedback.strength]}</span>
+
+      <ul className="password-strength-requirements">
+        {feedback.requirements.map((requirement) => (
+          <li key={requirement.id} className={requirement.met ? 'met' : 'unmet'}>
+            {requirement.met ? '✓' : '✗'} {requirement.label}
+          </li>
+        ))}
+      </ul>
+
+      {feedback.valid && feedback.suggestions.length > 0 && (
+        <p className="password-strength-suggestions">
+          Tip: {feedback.suggestions.join('; ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PasswordStrength;
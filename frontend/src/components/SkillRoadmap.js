@@ -0,0 +1,65 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './SkillRoadmap.css';
+
+const skillIcon = (icon) => (typeof icon === 'object' ? (icon?.emoji || icon?.value || '📚') : (icon || '📚'));
+
+// The skills to learn before the current one, drawn as columns from the
+// foundations on the left to the current skill on the right
+const SkillRoadmap = ({ roadmap, currentSkillId }) => {
+  const names = new Map(roadmap.map(step => [step.skill._id, step.skill.name]));
+  const columns = [];
+  roadmap.forEach((step) => {
+    columns[step.depth] = [...(columns[step.depth] || []), step];
+  });
+
+  return (
+    <div className="skill-roadmap">
+      <h2>🗺️ Roadmap</h2>
+      <p>Skills that build up to this one, in the order to learn them.</p>
+
+      <div className="skill-roadmap-diagram">
+        {columns.filter(Boolean).map((column, columnIndex) => (
+          <React.Fragment key={columnIndex}>
+            {columnIndex > 0 && <div className="skill-roadmap-arrow" aria-hidden="true">→</div>}
+            <div className="skill-roadmap-column">
+              {column.map((step) => {
+                const isCurrent = step.skill._id === currentSkillId;
+                const status = step.completed
+                  ? 'completed'
+                  : step.progress ? 'in-progress' : 'not-started';
+
+                return (
+                  <Link
+                    key={step.skill._id}
+                    to={`/skill/${step.skill._id}`}
+                    className={`skill-roadmap-node skill-roadmap-${status} ${isCurrent ? 'skill-roadmap-current' : ''}`}
+                    aria-current={isCurrent ? 'page' : undefined}
+                  >
+                    <span className="skill-roadmap-icon" aria-hidden="true">{skillIcon(step.skill.icon)}</span>
+                    <strong>{step.skill.name}</strong>
+                    {step.requiredLevel && (
+                      <span className="skill-roadmap-level">Needed at {step.requiredLevel} level</span>
+                    )}
+                    <span className="skill-roadmap-status">
+                      {step.completed
+                        ? '✅ Completed'
+                        : step.progress ? `${step.progress.progressPercentage}% done` : 'Not started'}
+                    </span>
+                    {step.prerequisites.length > 0 && (
+                      <span className="skill-roadmap-needs">
+                        After: {step.prerequisites.map(id => names.get(id)).join(', ')}
+                      </span>
+                    )}
+                  </Link>
+                );
+              })}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SkillRoadmap;
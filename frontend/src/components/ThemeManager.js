@@ -0,0 +1,47 @@
+import { useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// The last applied choice is remembered so signed-out pages keep the same look
+const STORAGE_KEY = 'displayPreferences';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const readStoredPreferences = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Applies the user's theme and display density to <html> as data attributes;
+// the matching CSS variables live in index.css
+const ThemeManager = () => {
+  const { user } = useAuth();
+  const stored = readStoredPreferences();
+  const theme = user?.preferences?.theme || stored.theme || 'auto';
+  const density = user?.preferences?.displayDensity || stored.displayDensity || 'comfortable';
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.dataset.density = density;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ theme, displayDensity: density }));
+
+    if (theme !== 'auto') {
+      root.dataset.theme = theme;
+      return undefined;
+    }
+
+    // "auto" follows the operating system, including changes while the app is open
+    const media = window.matchMedia(DARK_QUERY);
+    const applySystemTheme = () => {
+      root.dataset.theme = media.matches ? 'dark' : 'light';
+    };
+    applySystemTheme();
+    media.addEventListener('change', applySystemTheme);
+    return () => media.removeEventListener('change', applySystemTheme);
+  }, [theme, density]);
+
+  return null;
+};
+
+export default ThemeManager;
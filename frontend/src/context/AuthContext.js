@@ -1,8 +1,64 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 
 const AuthContext = createContext();
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Web Lock held while refreshing, so tabs sharing one refresh token take turns
+const REFRESH_LOCK_NAME = 'auth-refresh';
+
+// The API counts daily streaks in the user's own time zone
+axios.defaults.headers.common['X-Timezone'] = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Error codes the API uses when an account may not be used at all
+const ACCOUNT_BLOCK_CODES = ['ACCOUNT_BANNED', 'ACCOUNT_DEACTIVATED'];
+
+// Turn an API error response into a single readable message
+const getErrorMessage = (error, fallback) => {
+  const errorData = error.response?.data;
+  if (errorData?.errors && Array.isArray(errorData.errors)) {
+    return errorData.errors.map(err => err.message).join('. ');
+  }
+  return errorData?.message || fallback;
+};
+
+// Describe a failed sign-in. Accounts pending deletion come back with a token
+// that can restore them.
+const getLoginFailure = (error, fallback) => {
+  const errorData = error.response?.data;
+  if (errorData?.code === 'ACCOUNT_DELETION_PENDING') {
+    return {
+      success: false,
+      message: errorData.message,
+      deletionPending: {
+        restoreToken: errorData.restoreToken,
+        deletionScheduledFor: errorData.deletionScheduledFor
+      }
+    };
+  }
+  return { success: false, message: getErrorMessage(error, fallback) };
+};
+
+// Read the payload of a JWT without verifying it
+const readTokenPayload = (jwt) => {
+  try {
+    return JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+  } catch {
+    return null;
+  }
+};
+
+// Read the expiry (ms since epoch) out of a JWT without verifying it
+const getTokenExpiry = (jwt) => {
+  const payload = readTokenPayload(jwt);
+  return payload?.exp ? payload.exp * 1000 : null;
+};
+
+// The token requests should carry: while an admin views the app as another
+// user, their own tokens stay in storage and requests use the impersonation token
+export const getAccessToken = () => localStorage.getItem('impersonationToken') || localStorage.getItem('token');
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -14,28 +70,206 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(getAccessToken());
+  const [accountBlock, setAccountBlock] = useState(null);
+  const refreshPromise = useRef(null);
 
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
-  const logout = useCallback(() => {
+  const storeSession = useCallback((data) => {
+    localStorage.setItem('token', data.token);
+    // A refresh that another tab beat by moments returns no new refresh token
+    if (data.refreshToken) {
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
+    // Renewing the admin's own tokens must not end a "view as user" session
+    if (localStorage.getItem('impersonationToken')) return;
+    setToken(data.token);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
+  }, []);
+
+  const clearSession = useCallback(() => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('impersonationToken');
     setToken(null);
     setUser(null);
     delete axios.defaults.headers.common['Authorization'];
   }, []);
 
+  // End a "view as user" session server-side using the admin's own token
+  const endImpersonation = useCallback((impersonationToken, adminToken) => {
+    const userId = readTokenPayload(impersonationToken)?.userId;
+    return axios.delete(`${API_URL}/admin/users/${userId}/impersonate`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    }).catch(() => {});
+  }, [API_URL]);
+
+  const logout = useCallback(() => {
+    const currentToken = localStorage.getItem('token');
+    const impersonationToken = localStorage.getItem('impersonationToken');
+    if (currentToken) {
+      if (impersonationToken) {
+        endImpersonation(impersonationToken, currentToken);
+      }
+      // Revoke the session server-side; the local session is cleared regardless
+      axios.post(`${API_URL}/auth/logout`, null, {
+        headers: { Authorization: `Bearer ${currentToken}` },
+        skipAuthRefresh: true
+      }).catch(() => {});
+    }
+    clearSession();
+  }, [API_URL, clearSession, endImpersonation]);
+
+  // Leave "view as user" and return to the admin's own session
+  const stopImpersonation = useCallback(async () => {
+    const impersonationToken = localStorage.getItem('impersonationToken');
+    if (!impersonationToken) return;
+
+    localStorage.removeItem('impersonationToken');
+    const adminToken = localStorage.getItem('token');
+    if (!adminToken) {
+      clearSession();
+      return;
+    }
+    axios.defaults.headers.common['Authorization'] = `Bearer ${adminToken}`;
+    setToken(adminToken);
+    await endImpersonation(impersonationToken, adminToken);
+  }, [clearSession, endImpersonation]);
+
+  // Exchange the refresh token for a new pair. Presenting a rotated-out refresh
+  // token revokes the session, and every tab reads the same one from storage:
+  // tabs take turns through a Web Lock, and a tab whose turn comes after another
+  // tab refreshed uses the tokens that tab stored. Within a tab, concurrent
+  // callers share one request. `staleToken` is the access token being replaced.
+  const refreshSession = useCallback((staleToken) => {
+    if (!refreshPromise.current) {
+      const rotate = async () => {
+        const storedToken = localStorage.getItem('token');
+        if (storedToken && storedToken !== staleToken &&
+          getTokenExpiry(storedToken) - Date.now() > REFRESH_MARGIN_MS) {
+          storeSession({ token: storedToken });
+          return storedToken;
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+          throw new Error('No refresh token');
+        }
+        const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { skipAuthRefresh: true });
+        storeSession(response.data);
+        return response.data.token;
+      };
+
+      refreshPromise.current = (navigator.locks ? navigator.locks.request(REFRESH_LOCK_NAME, rotate) : rotate())
+        .catch((error) => {
+          clearSession();
+          throw error;
+        })
+        .finally(() => {
+          refreshPromise.current = null;
+        });
+    }
+    return refreshPromise.current;
+  }, [API_URL, storeSession, clearSession]);
+
+  // Retry requests that failed with an expired access token once, after refreshing.
+  // Banned or deactivated accounts are signed out and shown the blocked screen.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const errorData = error.response?.data;
+
+        // When a "view as user" session expires or the user is blocked, the
+        // admin simply drops back to their own session
+        if (localStorage.getItem('impersonationToken') && (
+          error.response?.status === 401 ||
+          (error.response?.status === 403 && ACCOUNT_BLOCK_CODES.includes(errorData?.code))
+        )) {
+          stopImpersonation();
+          throw error;
+        }
+
+        if (error.response?.status === 403 && ACCOUNT_BLOCK_CODES.includes(errorData?.code)) {
+          setAccountBlock(errorData);
+          clearSession();
+          throw error;
+        }
+
+        const original = error.config;
+        if (
+          error.response?.status !== 401 ||
+          !original ||
+          original.skipAuthRefresh ||
+          original._retried ||
+          !localStorage.getItem('refreshToken')
+        ) {
+          throw error;
+        }
+
+        original._retried = true;
+        const newToken = await refreshSession(original.headers?.Authorization?.replace('Bearer ', ''));
+        original.headers = { ...original.headers, Authorization: `Bearer ${newToken}` };
+        return axios(original);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession, clearSession, stopImpersonation]);
+
+  // Refresh shortly before the access token expires so requests made outside
+  // the shared axios instance keep working. "View as user" sessions cannot be
+  // refreshed and end when their token does.
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const expiresAt = getTokenExpiry(token);
+    if (!expiresAt) return undefined;
+
+    const timer = token === localStorage.getItem('impersonationToken')
+      ? setTimeout(stopImpersonation, Math.max(expiresAt - Date.now(), 0))
+      : setTimeout(() => {
+        refreshSession(token).catch(() => {});
+      }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+
+    return () => clearTimeout(timer);
+  }, [token, refreshSession, stopImpersonation]);
+
+  // Keep tabs in step: pick up tokens another tab refreshed (which also moves
+  // this tab's refresh timer), and sign out when another tab does
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== 'token') return;
+      if (!event.newValue) {
+        clearSession();
+      } else if (!localStorage.getItem('impersonationToken')) {
+        setToken(event.newValue);
+        axios.defaults.headers.common['Authorization'] = `Bearer ${event.newValue}`;
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [clearSession]);
+
   const fetchUser = useCallback(async () => {
+    const impersonating = !!localStorage.getItem('impersonationToken');
     try {
       const response = await axios.get(`${API_URL}/auth/me`);
       setUser(response.data.user);
     } catch (error) {
       console.error('Error fetching user:', error);
-      logout();
+      // A broken "view as user" session only ends the impersonation
+      if (impersonating) {
+        stopImpersonation();
+      } else {
+        logout();
+      }
     } finally {
       setLoading(false);
     }
-  }, [API_URL, logout]);
+  }, [API_URL, logout, stopImpersonation]);
 
   useEffect(() => {
     if (token) {
@@ -46,33 +280,25 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token, fetchUser]);
 
+  // Either start the session, or hand the 2FA challenge back to the caller
+  const completeLogin = useCallback((data) => {
+    if (data.twoFactorRequired) {
+      return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+    }
+    storeSession(data);
+    setUser(data.user);
+    return { success: true, user: data.user };
+  }, [storeSession]);
+
   const login = async (email, password) => {
     try {
       const response = await axios.post(`${API_URL}/auth/login`, {
         email,
         password
-      });
-      const { token: newToken, user: userData } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(userData);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-      return { success: true };
+      }, { skipAuthRefresh: true });
+      return completeLogin(response.data);
     } catch (error) {
-      const errorData = error.response?.data;
-      let message = 'Login failed';
-      
-      if (errorData?.errors && Array.isArray(errorData.errors)) {
-        // Handle validation errors array
-        message = errorData.errors.map(err => err.message).join('. ');
-      } else if (errorData?.message) {
-        message = errorData.message;
-      }
-      
-      return {
-        success: false,
-        message
-      };
+      return getLoginFailure(error, 'Login failed');
     }
   };
 
@@ -83,12 +309,9 @@ export const AuthProvider = ({ children }) => {
         email,
         password,
         category
-      });
-      const { token: newToken, user: userData } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(userData);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+      }, { skipAuthRefresh: true });
+      storeSession(response.data);
+      setUser(response.data.user);
       return { success: true };
     } catch (error) {
       const errorData = error.response?.data;
@@ -108,37 +331,418 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const googleLogin = async (googleData) => {
+  // credential is the signed ID token from Google Identity Services
+  const googleLogin = async (credential, category = 'students') => {
     try {
       const response = await axios.post(`${API_URL}/auth/google`, {
-        name: googleData.name,
-        email: googleData.email,
-        googleId: googleData.googleId,
-        category: 'students'
-      });
-      const { token: newToken, user: userData } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(userData);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+        credential,
+        category
+      }, { skipAuthRefresh: true });
+      return completeLogin(response.data);
+    } catch (error) {
+      return getLoginFailure(error, 'Google login failed');
+    }
+  };
+
+  // GitHub login is a full-page redirect; the server sends the browser back to
+  // /auth/github/callback with a short-lived code to exchange for a session
+  const startGithubLogin = () => {
+    window.location.assign(`${API_URL}/auth/github`);
+  };
+
+  const completeGithubLogin = useCallback(async (code) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/github/exchange`, { code }, { skipAuthRefresh: true });
+      return completeLogin(response.data);
+    } catch (error) {
+      return getLoginFailure(error, 'GitHub login failed');
+    }
+  }, [API_URL, completeLogin]);
+
+  // Passwordless sign-in: the emailed link opens /magic-link/:token, which
+  // exchanges the token for a session. New addresses get an account.
+  const requestMagicLink = async (email, name) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/magic-link`, { email, name }, { skipAuthRefresh: true });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not send sign-in link') };
+    }
+  };
+
+  const completeMagicLinkLogin = useCallback(async (linkToken) => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/magic-link/${linkToken}`, { skipAuthRefresh: true });
+      return completeLogin(response.data);
+    } catch (error) {
+      return getLoginFailure(error, 'This sign-in link is invalid or has expired');
+    }
+  }, [API_URL, completeLogin]);
+
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/challenge`, {
+        challengeToken,
+        code
+      }, { skipAuthRefresh: true });
+      return completeLogin(response.data);
+    } catch (error) {
+      return getLoginFailure(error, 'Invalid authentication code');
+    }
+  };
+
+  const setupTwoFactor = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/setup`);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not start two-factor setup') };
+    }
+  };
+
+  const enableTwoFactor = async (code) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/verify`, { code });
+      await fetchUser();
+      return { success: true, message: response.data.message, backupCodes: response.data.data.backupCodes };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not enable two-factor authentication') };
+    }
+  };
+
+  const regenerateBackupCodes = async (code) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/backup-codes`, { code });
+      return { success: true, message: response.data.message, backupCodes: response.data.data.backupCodes };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not generate backup codes') };
+    }
+  };
+
+  const disableTwoFactor = async (code, password) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/disable`, { code, password });
+      await fetchUser();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not disable two-factor authentication') };
+    }
+  };
+
+  const getSessions = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/sessions`);
+      return { success: true, sessions: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not load sessions') };
+    }
+  }, [API_URL]);
+
+  const revokeSession = async (sessionId) => {
+    try {
+      const response = await axios.delete(`${API_URL}/auth/sessions/${sessionId}`);
+      // Signing out the current device is a logout
+      if (response.data.data?.current) {
+        clearSession();
+      }
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not sign out device') };
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      const response = await axios.delete(`${API_URL}/auth/sessions`);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not sign out other devices') };
+    }
+  };
+
+  const getSecurityEvents = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/security-events`);
+      return { success: true, events: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not load security activity') };
+    }
+  }, [API_URL]);
+
+  const getApiTokens = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/tokens`);
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not load API tokens') };
+    }
+  }, [API_URL]);
+
+  const createApiToken = async ({ name, scopes, expiresInDays }) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/tokens`, { name, scopes, expiresInDays });
+      return { success: true, message: response.data.message, token: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not create API token') };
+    }
+  };
+
+  const revokeApiToken = async (tokenId) => {
+    try {
+      const response = await axios.delete(`${API_URL}/auth/tokens/${tokenId}`);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not revoke API token') };
+    }
+  };
+
+  const getProfile = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/me/profile`);
+      return { success: true, profile: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not load your profile') };
+    }
+  }, [API_URL]);
+
+  // Profile changes also update the name and avatar shown in the Navbar
+  const applyProfile = (response) => {
+    const profile = response.data.data;
+    setUser(prev => (prev ? { ...prev, name: profile.name, avatar: profile.avatar } : prev));
+    return { success: true, profile, message: response.data.message };
+  };
+
+  const updateProfile = async (changes) => {
+    try {
+      return applyProfile(await axios.patch(`${API_URL}/users/me/profile`, changes));
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not save your profile') };
+    }
+  };
+
+  const uploadAvatar = async (file) => {
+    const upload = new FormData();
+    upload.append('avatar', file);
+    try {
+      return applyProfile(await axios.put(`${API_URL}/users/me/avatar`, upload));
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not upload your avatar') };
+    }
+  };
+
+  const removeAvatar = async () => {
+    try {
+      return applyProfile(await axios.delete(`${API_URL}/users/me/avatar`));
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not remove your avatar') };
+    }
+  };
+
+  const getPreferences = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/me/preferences`);
+      return { success: true, preferences: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not load your preferences') };
+    }
+  }, [API_URL]);
+
+  // Saved preferences replace user.preferences so ThemeManager re-applies them
+  const updatePreferences = async (changes) => {
+    try {
+      const response = await axios.patch(`${API_URL}/users/me/preferences`, changes);
+      const preferences = response.data.data;
+      setUser(prev => (prev ? { ...prev, preferences } : prev));
+      return { success: true, preferences, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not save your preferences') };
+    }
+  };
+
+  const getDueReviews = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/me/reviews/due`);
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not load your reviews') };
+    }
+  }, [API_URL]);
+
+  // quality is the self-rated recall, from 0 (forgot) to 5 (perfect)
+  const submitReview = async (resourceId, quality) => {
+    try {
+      const response = await axios.post(`${API_URL}/users/me/reviews/${resourceId}`, { quality });
+      return { success: true, review: response.data.data, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not save your review') };
+    }
+  };
+
+  // Restore an account pending deletion; this continues the sign-in it interrupted
+  const cancelAccountDeletion = async (restoreToken) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/cancel-deletion`, { restoreToken }, { skipAuthRefresh: true });
+      return { ...completeLogin(response.data), message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not restore your account') };
+    }
+  };
+
+  // Download everything the API holds about the user as a JSON file
+  const exportAccountData = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/me/export`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `skill-enhancement-export-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
       return { success: true };
     } catch (error) {
-      return {
-        success: false,
-        message: error.response?.data?.message || 'Google login failed'
-      };
+      return { success: false, message: 'Could not export your data' };
+    }
+  };
+
+  // confirmation is { confirmEmail, password }; OAuth-only accounts leave the password empty
+  const deleteAccount = async (confirmation) => {
+    try {
+      const response = await axios.delete(`${API_URL}/auth/me`, { data: confirmation });
+      clearSession();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not delete your account') };
     }
   };
 
+  // Other devices are signed out, so keep this one going with the tokens that come back
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await axios.put(`${API_URL}/auth/password`, { currentPassword, newPassword });
+      storeSession(response.data);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not change password') };
+    }
+  };
+
+  // Rate a candidate password against the server's password policy
+  const checkPasswordStrength = useCallback(async (password, { email, name } = {}) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/password-strength`, { password, email, name }, { skipAuthRefresh: true });
+      return { success: true, feedback: response.data.data };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not check password') };
+    }
+  }, [API_URL]);
+
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/forgot-password`, { email }, { skipAuthRefresh: true });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not send reset link') };
+    }
+  };
+
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/reset-password/${resetToken}`, { password }, { skipAuthRefresh: true });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Password reset failed') };
+    }
+  };
+
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/verify-email/${verificationToken}`, { skipAuthRefresh: true });
+      if (localStorage.getItem('token')) {
+        await fetchUser();
+      }
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Email verification failed') };
+    }
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/verify-email/resend`);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not send verification email') };
+    }
+  };
+
+  const dismissAccountBlock = () => setAccountBlock(null);
+
+  // Admins with users.impersonate can view the app as a learner, read-only
+  const startImpersonation = async (userId, reason) => {
+    try {
+      const response = await axios.post(`${API_URL}/admin/users/${userId}/impersonate`, { reason });
+      const impersonationToken = response.data.data.token;
+      localStorage.setItem('impersonationToken', impersonationToken);
+      axios.defaults.headers.common['Authorization'] = `Bearer ${impersonationToken}`;
+      setToken(impersonationToken);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: getErrorMessage(error, 'Could not view as this user') };
+    }
+  };
+
+  // Permissions come from the user's role (see backend/utils/permissions.js)
+  const hasPermission = (permission) => !!user?.permissions?.includes(permission);
+
   const value = {
     user,
     loading,
+    accountBlock,
+    dismissAccountBlock,
     login,
     register,
     googleLogin,
+    startGithubLogin,
+    completeGithubLogin,
+    requestMagicLink,
+    completeMagicLinkLogin,
+    completeTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getSecurityEvents,
+    getApiTokens,
+    createApiToken,
+    revokeApiToken,
+    getProfile,
+    updateProfile,
+    uploadAvatar,
+    removeAvatar,
+    getPreferences,
+    updatePreferences,
+    getDueReviews,
+    submitReview,
+    cancelAccountDeletion,
+    exportAccountData,
+    deleteAccount,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    checkPasswordStrength,
+    verifyEmail,
+    resendVerificationEmail,
     logout,
+    hasPermission,
+    startImpersonation,
+    stopImpersonation,
+    isImpersonating: !!user?.impersonation,
     isAuthenticated: !!user,
-    isAdmin: user?.role === 'admin'
+    isAdmin: user?.role === 'admin',
+    canAccessAdmin: (user?.permissions?.length || 0) > 0
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import PrivateRoute from '../components/PrivateRoute';
 import axios from 'axios';
@@ -6,8 +7,14 @@ import './AdminPanel.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+const VERIFICATION_ACTION_LABELS = {
+  bookmark: 'Bookmarking resources',
+  submitContent: 'Submitting skills and resources'
+};
+
 const AdminPanel = () => {
-  const { isAdmin } = useAuth();
+  const { canAccessAdmin, hasPermission, startImpersonation } = useAuth();
+  const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('skills');
   const [skills, setSkills] = useState([]);
   const [resources, setResources] = useState([]);
@@ -32,23 +39,34 @@ const AdminPanel = () => {
     verified: false
   });
 
+  const [verificationSettings, setVerificationSettings] = useState({
+    requiredFor: [],
+    availableActions: []
+  });
+  const [twoFactorSettings, setTwoFactorSettings] = useState({
+    requiredRoles: [],
+    availableRoles: []
+  });
+  const [users, setUsers] = useState([]);
+  const [userSearch, setUserSearch] = useState('');
+
   useEffect(() => {
     if (activeTab === 'skills') {
       fetchSkills();
-    } else {
+    } else if (activeTab === 'resources') {
       fetchResources();
       fetchSkills(); // Need skills for dropdown
+    } else if (activeTab === 'users') {
+      fetchUsers();
+    } else {
+      fetchVerificationSettings();
+      fetchTwoFactorSettings();
     }
   }, [activeTab]);
 
   const fetchSkills = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.get(`${API_URL}/admin/skills`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      const response = await axios.get(`${API_URL}/admin/skills`);
       // Admin API returns {success: true, data: skills}
       setSkills(response.data?.data || []);
     } catch (error) {
@@ -59,12 +77,7 @@ const AdminPanel = () => {
 
   const fetchResources = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.get(`${API_URL}/admin/resources`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      const response = await axios.get(`${API_URL}/admin/resources`);
       // Admin API returns {success: true, data: resources}
       setResources(response.data?.data || []);
     } catch (error) {
@@ -73,11 +86,110 @@ const AdminPanel = () => {
     }
   };
 
+  const fetchUsers = async (search = '') => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/users`, {
+        params: { search: search || undefined, limit: 50 }
+      });
+      setUsers(response.data?.data || []);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      alert('Error fetching users: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleUserSearch = (e) => {
+    e.preventDefault();
+    fetchUsers(userSearch.trim());
+  };
+
+  const handleImpersonate = async (user) => {
+    const reason = window.prompt(`Why do you need to view the app as ${user.name}? (optional)`);
+    if (reason === null) return;
+
+    const result = await startImpersonation(user._id, reason.trim() || undefined);
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      alert(result.message);
+    }
+  };
+
+  const fetchVerificationSettings = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/settings/email-verification`);
+      setVerificationSettings(response.data?.data || { requiredFor: [], availableActions: [] });
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      alert('Error fetching settings: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleVerificationSettingToggle = (action) => {
+    const { requiredFor } = verificationSettings;
+    setVerificationSettings({
+      ...verificationSettings,
+      requiredFor: requiredFor.includes(action)
+        ? requiredFor.filter(a => a !== action)
+        : [...requiredFor, action]
+    });
+  };
+
+  const handleSettingsSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await axios.put(`${API_URL}/admin/settings/email-verification`, {
+        requiredFor: verificationSettings.requiredFor
+      });
+      setVerificationSettings(response.data.data);
+      alert('Settings saved successfully!');
+    } catch (error) {
+      alert('Error saving settings: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTwoFactorSettings = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/settings/two-factor`);
+      setTwoFactorSettings(response.data?.data || { requiredRoles: [], availableRoles: [] });
+    } catch (error) {
+      console.error('Error fetching two-factor settings:', error);
+    }
+  };
+
+  const handleTwoFactorRoleToggle = (role) => {
+    const { requiredRoles } = twoFactorSettings;
+    setTwoFactorSettings({
+      ...twoFactorSettings,
+      requiredRoles: requiredRoles.includes(role)
+        ? requiredRoles.filter(r => r !== role)
+        : [...requiredRoles, role]
+    });
+  };
+
+  const handleTwoFactorSettingsSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await axios.put(`${API_URL}/admin/settings/two-factor`, {
+        requiredRoles: twoFactorSettings.requiredRoles
+      });
+      setTwoFactorSettings(response.data.data);
+      alert('Settings saved successfully!');
+    } catch (error) {
+      alert('Error saving settings: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSkillSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     try {
-      const token = localStorage.getItem('token');
       // Transform form data to match backend Skill model structure
       const skillData = {
         name: formData.name,
@@ -93,11 +205,7 @@ const AdminPanel = () => {
           secondary: '#E8F5E9'
         }
       };
-      await axios.post(`${API_URL}/admin/skills`, skillData, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      await axios.post(`${API_URL}/admin/skills`, skillData);
       alert('Skill created successfully!');
       setFormData({
         name: '',
@@ -118,12 +226,7 @@ const AdminPanel = () => {
     e.preventDefault();
     setLoading(true);
     try {
-      const token = localStorage.getItem('token');
-      await axios.post(`${API_URL}/admin/resources`, resourceFormData, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      await axios.post(`${API_URL}/admin/resources`, resourceFormData);
       alert('Resource created successfully! URL verification is being performed automatically.');
       setResourceFormData({
         title: '',
@@ -151,12 +254,7 @@ const AdminPanel = () => {
     }
 
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.patch(`${API_URL}/admin/resources/${resourceId}/verify`, {}, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      const response = await axios.patch(`${API_URL}/admin/resources/${resourceId}/verify`, {});
       
       if (response.data.success) {
         alert('Resource verified successfully!');
@@ -175,7 +273,7 @@ const AdminPanel = () => {
     }
   };
 
-  if (!isAdmin) {
+  if (!canAccessAdmin) {
     return (
       <PrivateRoute adminOnly={true}>
         <div className="container">
@@ -189,7 +287,7 @@ const AdminPanel = () => {
     <div className="container">
       <div className="page-header">
         <h1>⚙️ Admin Panel</h1>
-        <p>Manage skills and resources</p>
+        <p>Manage skills, resources and settings</p>
       </div>
 
       <div className="admin-tabs">
@@ -205,69 +303,89 @@ const AdminPanel = () => {
         >
           Manage Resources
         </button>
+        {hasPermission('users.view') && (
+          <button
+            className={`admin-tab ${activeTab === 'users' ? 'active' : ''}`}
+            onClick={() => setActiveTab('users')}
+          >
+            Users
+          </button>
+        )}
+        {hasPermission('settings.manage') && (
+          <button
+            className={`admin-tab ${activeTab === 'settings' ? 'active' : ''}`}
+            onClick={() => setActiveTab('settings')}
+          >
+            Settings
+          </button>
+        )}
       </div>
 
       {activeTab === 'skills' && (
         <div className="admin-section">
-          <h2>Create New Skill</h2>
-          <form onSubmit={handleSkillSubmit} className="admin-form">
-            <div className="form-group">
-              <label>Skill Name *</label>
-              <input
-                type="text"
-                className="input"
-                value={formData.name}
-                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                required
-              />
-            </div>
-            <div className="form-group">
-              <label>Description</label>
-              <textarea
-                className="input"
-                value={formData.description}
-                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                rows="3"
-              />
-            </div>
-            <div className="form-row">
-              <div className="form-group">
-                <label>Category *</label>
-                <select
-                  className="input"
-                  value={formData.category}
-                  onChange={(e) => setFormData({ ...formData, category: e.target.value })}
-                  required
-                >
-                  <option value="children">Children</option>
-                  <option value="students">Students</option>
-                  <option value="senior_citizens">Senior Citizens</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Icon (emoji)</label>
-                <input
-                  type="text"
-                  className="input"
-                  value={formData.icon}
-                  onChange={(e) => setFormData({ ...formData, icon: e.target.value })}
-                  placeholder="📚"
-                />
-              </div>
-              <div className="form-group">
-                <label>Color</label>
-                <input
-                  type="color"
-                  className="input"
-                  value={formData.color}
-                  onChange={(e) => setFormData({ ...formData, color: e.target.value })}
-                />
-              </div>
-            </div>
-            <button type="submit" className="btn btn-primary" disabled={loading}>
-              {loading ? 'Creating...' : 'Create Skill'}
-            </button>
-          </form>
+          {hasPermission('skills.create') && (
+            <>
+              <h2>Create New Skill</h2>
+              <form onSubmit={handleSkillSubmit} className="admin-form">
+                <div className="form-group">
+                  <label>Skill Name *</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Description</label>
+                  <textarea
+                    className="input"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    rows="3"
+                  />
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Category *</label>
+                    <select
+                      className="input"
+                      value={formData.category}
+                      onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                      required
+                    >
+                      <option value="children">Children</option>
+                      <option value="students">Students</option>
+                      <option value="senior_citizens">Senior Citizens</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Icon (emoji)</label>
+                    <input
+                      type="text"
+                      className="input"
+                      value={formData.icon}
+                      onChange={(e) => setFormData({ ...formData, icon: e.target.value })}
+                      placeholder="📚"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Color</label>
+                    <input
+                      type="color"
+                      className="input"
+                      value={formData.color}
+                      onChange={(e) => setFormData({ ...formData, color: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <button type="submit" className="btn btn-primary" disabled={loading}>
+                  {loading ? 'Creating...' : 'Create Skill'}
+                </button>
+              </form>
+            </>
+          )}
 
           <h2 style={{ marginTop: '40px' }}>Existing Skills</h2>
           <div className="admin-list">
@@ -311,133 +429,137 @@ const AdminPanel = () => {
 
       {activeTab === 'resources' && (
         <div className="admin-section">
-          <h2>Create New Resource</h2>
-          <form onSubmit={handleResourceSubmit} className="admin-form">
-            <div className="form-group">
-              <label>Title *</label>
-              <input
-                type="text"
-                className="input"
-                value={resourceFormData.title}
-                onChange={(e) => setResourceFormData({ ...resourceFormData, title: e.target.value })}
-                required
-              />
-            </div>
-            <div className="form-group">
-              <label>Description</label>
-              <textarea
-                className="input"
-                value={resourceFormData.description}
-                onChange={(e) => setResourceFormData({ ...resourceFormData, description: e.target.value })}
-                rows="3"
-              />
-            </div>
-            <div className="form-group">
-              <label>URL *</label>
-              <input
-                type="url"
-                className="input"
-                value={resourceFormData.url}
-                onChange={(e) => setResourceFormData({ ...resourceFormData, url: e.target.value })}
-                required
-                placeholder="https://..."
-              />
-            </div>
-            <div className="form-row">
-              <div className="form-group">
-                <label>Type *</label>
-                <select
-                  className="input"
-                  value={resourceFormData.type}
-                  onChange={(e) => setResourceFormData({ ...resourceFormData, type: e.target.value })}
-                  required
-                >
-                  <option value="youtube">YouTube</option>
-                  <option value="udemy">Udemy</option>
-                  <option value="coursera">Coursera</option>
-                  <option value="other">Other</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Learning Type *</label>
-                <select
-                  className="input"
-                  value={resourceFormData.learningType}
-                  onChange={(e) => setResourceFormData({ ...resourceFormData, learningType: e.target.value })}
-                  required
-                >
-                  <option value="free">Free</option>
-                  <option value="premium">Premium</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Category *</label>
-                <select
-                  className="input"
-                  value={resourceFormData.category}
-                  onChange={(e) => setResourceFormData({ ...resourceFormData, category: e.target.value })}
-                  required
-                >
-                  <option value="children">Children</option>
-                  <option value="students">Students</option>
-                  <option value="senior_citizens">Senior Citizens</option>
-                </select>
-              </div>
-            </div>
-            <div className="form-row">
-              <div className="form-group">
-                <label>Skill *</label>
-                <select
-                  className="input"
-                  value={resourceFormData.skill}
-                  onChange={(e) => setResourceFormData({ ...resourceFormData, skill: e.target.value })}
-                  required
-                >
-                  <option value="">Select a skill</option>
-                  {skills.map((skill) => (
-                    <option key={skill._id} value={skill._id}>
-                      {skill.name} ({skill.category})
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Level</label>
-                <select
-                  className="input"
-                  value={resourceFormData.level}
-                  onChange={(e) => setResourceFormData({ ...resourceFormData, level: e.target.value })}
-                >
-                  <option value="beginner">Beginner</option>
-                  <option value="intermediate">Intermediate</option>
-                  <option value="advanced">Advanced</option>
-                </select>
-              </div>
-            </div>
-            <div className="form-group">
-              <label>Creator</label>
-              <input
-                type="text"
-                className="input"
-                value={resourceFormData.creator}
-                onChange={(e) => setResourceFormData({ ...resourceFormData, creator: e.target.value })}
-                placeholder="Course creator name"
-              />
-            </div>
-            <div className="form-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={resourceFormData.verified}
-                  onChange={(e) => setResourceFormData({ ...resourceFormData, verified: e.target.checked })}
-                />
-                Verified Resource
-              </label>
-            </div>
-            <button type="submit" className="btn btn-primary" disabled={loading}>
-              {loading ? 'Creating...' : 'Create Resource'}
-            </button>
-          </form>
+          {hasPermission('resources.create') && (
+            <>
+              <h2>Create New Resource</h2>
+              <form onSubmit={handleResourceSubmit} className="admin-form">
+                <div className="form-group">
+                  <label>Title *</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={resourceFormData.title}
+                    onChange={(e) => setResourceFormData({ ...resourceFormData, title: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Description</label>
+                  <textarea
+                    className="input"
+                    value={resourceFormData.description}
+                    onChange={(e) => setResourceFormData({ ...resourceFormData, description: e.target.value })}
+                    rows="3"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>URL *</label>
+                  <input
+                    type="url"
+                    className="input"
+                    value={resourceFormData.url}
+                    onChange={(e) => setResourceFormData({ ...resourceFormData, url: e.target.value })}
+                    required
+                    placeholder="https://..."
+                  />
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Type *</label>
+                    <select
+                      className="input"
+                      value={resourceFormData.type}
+                      onChange={(e) => setResourceFormData({ ...resourceFormData, type: e.target.value })}
+                      required
+                    >
+                      <option value="youtube">YouTube</option>
+                      <option value="udemy">Udemy</option>
+                      <option value="coursera">Coursera</option>
+                      <option value="other">Other</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Learning Type *</label>
+                    <select
+                      className="input"
+                      value={resourceFormData.learningType}
+                      onChange={(e) => setResourceFormData({ ...resourceFormData, learningType: e.target.value })}
+                      required
+                    >
+                      <option value="free">Free</option>
+                      <option value="premium">Premium</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Category *</label>
+                    <select
+                      className="input"
+                      value={resourceFormData.category}
+                      onChange={(e) => setResourceFormData({ ...resourceFormData, category: e.target.value })}
+                      required
+                    >
+                      <option value="children">Children</option>
+                      <option value="students">Students</option>
+                      <option value="senior_citizens">Senior Citizens</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Skill *</label>
+                    <select
+                      className="input"
+                      value={resourceFormData.skill}
+                      onChange={(e) => setResourceFormData({ ...resourceFormData, skill: e.target.value })}
+                      required
+                    >
+                      <option value="">Select a skill</option>
+                      {skills.map((skill) => (
+                        <option key={skill._id} value={skill._id}>
+                          {skill.name} ({skill.category})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Level</label>
+                    <select
+                      className="input"
+                      value={resourceFormData.level}
+                      onChange={(e) => setResourceFormData({ ...resourceFormData, level: e.target.value })}
+                    >
+                      <option value="beginner">Beginner</option>
+                      <option value="intermediate">Intermediate</option>
+                      <option value="advanced">Advanced</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>Creator</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={resourceFormData.creator}
+                    onChange={(e) => setResourceFormData({ ...resourceFormData, creator: e.target.value })}
+                    placeholder="Course creator name"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={resourceFormData.verified}
+                      onChange={(e) => setResourceFormData({ ...resourceFormData, verified: e.target.checked })}
+                    />
+                    Verified Resource
+                  </label>
+                </div>
+                <button type="submit" className="btn btn-primary" disabled={loading}>
+                  {loading ? 'Creating...' : 'Create Resource'}
+                </button>
+              </form>
+            </>
+          )}
 
           <h2 style={{ marginTop: '40px' }}>Existing Resources</h2>
           <div className="admin-list">
@@ -476,7 +598,7 @@ const AdminPanel = () => {
                     </div>
                   </div>
                   <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
-                    {!resource.verified && (
+                    {!resource.verified && hasPermission('resources.verify') && (
                       <button
                         onClick={() => handleVerifyResource(resource._id)}
                         className="btn btn-secondary"
@@ -493,6 +615,100 @@ const AdminPanel = () => {
           </div>
         </div>
       )}
+
+      {activeTab === 'users' && (
+        <div className="admin-section">
+          <h2>Users</h2>
+          <form onSubmit={handleUserSearch} className="admin-user-search">
+            <input
+              type="text"
+              className="input"
+              value={userSearch}
+              onChange={(e) => setUserSearch(e.target.value)}
+              placeholder="Search by name or email"
+            />
+            <button type="submit" className="btn btn-secondary">Search</button>
+          </form>
+          <div className="admin-list">
+            {users.length === 0 ? (
+              <p>No users found.</p>
+            ) : (
+              users.map((user) => (
+                <div key={user._id} className="admin-item admin-user-item">
+                  <div style={{ flex: 1 }}>
+                    <strong>{user.name}</strong>
+                    <p>{user.email}</p>
+                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                      <span className="badge badge-secondary">{user.role}</span>
+                      {user.isActive === false && (
+                        <span className="badge" style={{ backgroundColor: '#e74c3c', color: 'white' }}>Inactive</span>
+                      )}
+                    </div>
+                  </div>
+                  {hasPermission('users.impersonate') && user.role !== 'admin' && (
+                    <button
+                      onClick={() => handleImpersonate(user)}
+                      className="btn btn-secondary"
+                      style={{ fontSize: '0.85rem', padding: '6px 12px' }}
+                      title="See the app as this user, read-only"
+                    >
+                      👁 View as
+                    </button>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'settings' && (
+        <div className="admin-section">
+          <h2>Email Verification</h2>
+          <p>Choose which actions require users to confirm their email address first.</p>
+          <form onSubmit={handleSettingsSubmit} className="admin-form">
+            {verificationSettings.availableActions.map((action) => (
+              <div className="form-group" key={action}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={verificationSettings.requiredFor.includes(action)}
+                    onChange={() => handleVerificationSettingToggle(action)}
+                  />
+                  {VERIFICATION_ACTION_LABELS[action] || action}
+                </label>
+              </div>
+            ))}
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Settings'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {activeTab === 'settings' && (
+        <div className="admin-section">
+          <h2>Two-Factor Authentication</h2>
+          <p>Choose which roles must set up two-factor authentication. Admins without it lose access to this panel.</p>
+          <form onSubmit={handleTwoFactorSettingsSubmit} className="admin-form">
+            {twoFactorSettings.availableRoles.map((role) => (
+              <div className="form-group" key={role}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={twoFactorSettings.requiredRoles.includes(role)}
+                    onChange={() => handleTwoFactorRoleToggle(role)}
+                  />
+                  {role.charAt(0).toUpperCase() + role.slice(1)}
+                </label>
+              </div>
+            ))}
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Settings'}
+            </button>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
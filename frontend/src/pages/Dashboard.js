@@ -1,11 +1,59 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { FaExternalLinkAlt } from 'react-icons/fa';
 import { useAuth } from '../context/AuthContext';
 import './Dashboard.css';
 
+// Self-rated recall offered after revisiting a resource, on the 0-5 review scale
+const RECALL_RATINGS = [
+  { quality: 1, label: 'Forgot' },
+  { quality: 3, label: 'Hard' },
+  { quality: 4, label: 'Good' },
+  { quality: 5, label: 'Easy' }
+];
+
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, getDueReviews, submitReview } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [reviewsTotal, setReviewsTotal] = useState(0);
+  const [reviewMessage, setReviewMessage] = useState('');
+  const [reviewError, setReviewError] = useState('');
+  const [savingReviewId, setSavingReviewId] = useState(null);
+
+  const loadReviews = useCallback(async () => {
+    const result = await getDueReviews();
+    if (result.success) {
+      setReviews(result.reviews);
+      setReviewsTotal(result.total);
+    }
+  }, [getDueReviews]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleReview = async (resourceId, quality) => {
+    setSavingReviewId(resourceId);
+    setReviewError('');
+    const result = await submitReview(resourceId, quality);
+    setSavingReviewId(null);
+
+    if (!result.success) {
+      setReviewError(result.message);
+      return;
+    }
+    setReviewMessage(result.message);
+
+    const remaining = reviews.filter(review => review.resource._id !== resourceId);
+    if (remaining.length === 0 && reviewsTotal > 1) {
+      // Only the first page of due reviews is loaded at a time
+      loadReviews();
+    } else {
+      setReviews(remaining);
+      setReviewsTotal(prev => Math.max(0, prev - 1));
+    }
+  };
 
   const categories = [
     {
@@ -42,6 +90,45 @@ const Dashboard = () => {
         <p>Choose a category to start learning</p>
       </div>
 
+      {(reviews.length > 0 || reviewMessage) && (
+        <section className="dashboard-reviews">
+          <h2>🔁 Due for review {reviewsTotal > 0 && <span className="dashboard-reviews-count">{reviewsTotal}</span>}</h2>
+          <p className="dashboard-reviews-hint">
+            Revisit what you have completed, then rate how well you remembered it.
+          </p>
+          {reviewError && <div className="error-message">{reviewError}</div>}
+          {reviewMessage && <div className="success-message">{reviewMessage}</div>}
+
+          <ul className="dashboard-review-list">
+            {reviews.map(({ resource, dueDay, reviewCount }) => (
+              <li key={resource._id} className="dashboard-review-item">
+                <div className="dashboard-review-info">
+                  <a href={resource.url} target="_blank" rel="noopener noreferrer">
+                    {resource.title} <FaExternalLinkAlt />
+                  </a>
+                  <span className="dashboard-review-meta">
+                    {resource.skill && `${resource.skill.icon || ''} ${resource.skill.name} · `}
+                    {reviewCount === 0 ? 'First review' : `Review ${reviewCount + 1}`} · due {dueDay}
+                  </span>
+                </div>
+                <div className="dashboard-review-actions">
+                  {RECALL_RATINGS.map(({ quality, label }) => (
+                    <button
+                      key={quality}
+                      className="btn btn-secondary"
+                      onClick={() => handleReview(resource._id, quality)}
+                      disabled={savingReviewId === resource._id}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
       <div className="category-grid">
         {categories.map((category) => (
           <div
@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const GithubCallback = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { completeGithubLogin } = useAuth();
+  const [error, setError] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // The login code is short-lived, so never submit twice (e.g. StrictMode remounts)
+    if (requested.current) return;
+    requested.current = true;
+
+    const params = new URLSearchParams(location.hash.slice(1));
+    const code = params.get('code');
+
+    if (!code) {
+      setError(params.get('error') || 'GitHub login failed. Please try again.');
+      return;
+    }
+
+    completeGithubLogin(code).then((result) => {
+      if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else if (result.deletionPending) {
+        navigate('/login', { replace: true, state: { deletionPending: result.deletionPending } });
+      } else if (result.success) {
+        navigate(result.user?.twoFactorSetupRequired ? '/security' : '/dashboard', { replace: true });
+      } else {
+        setError(result.message);
+      }
+    });
+  }, [location.hash, completeGithubLogin, navigate]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>GitHub Login</h1>
+
+        {error ? (
+          <>
+            <div className="error-message">{error}</div>
+            <p className="auth-footer">
+              <Link to="/login">Back to Login</Link>
+            </p>
+          </>
+        ) : (
+          <>
+            <p>Signing you in...</p>
+            <div className="spinner"></div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GithubCallback;
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import GoogleSignInButton from '../components/GoogleSignInButton';
 import './Auth.css';
 
 const Login = () => {
@@ -8,16 +9,31 @@ const Login = () => {
     email: '',
     password: ''
   });
+  const location = useLocation();
+  // A GitHub login that needs a second factor lands here with its challenge
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  // Signing in to an account that is pending deletion offers to restore it
+  const [deletionPending, setDeletionPending] = useState(location.state?.deletionPending || null);
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login, isAuthenticated } = useAuth();
+  const {
+    login,
+    googleLogin,
+    startGithubLogin,
+    completeTwoFactorLogin,
+    cancelAccountDeletion,
+    isAuthenticated,
+    user
+  } = useAuth();
   const navigate = useNavigate();
 
+  // Users whose role requires 2FA are sent to enrol before anything else
   useEffect(() => {
     if (isAuthenticated) {
-      navigate('/dashboard');
+      navigate(user?.twoFactorSetupRequired ? '/security' : '/dashboard');
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, user, navigate]);
 
   const handleChange = (e) => {
     setFormData({
@@ -34,27 +50,166 @@ const Login = () => {
 
     const result = await login(formData.email, formData.password);
     
-    if (result.success) {
-      navigate('/dashboard');
-    } else {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.deletionPending) {
+      setDeletionPending(result.deletionPending);
+    } else if (!result.success) {
       setError(result.message || 'Login failed. Please try again.');
     }
     
     setLoading(false);
   };
 
-  const handleGoogleLogin = () => {
-    // Note: For full Google OAuth, you'd need to integrate Google OAuth SDK
-    // This is a placeholder - implement actual Google OAuth flow
-    alert('Google OAuth integration required. Please use email/password for now.');
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await completeTwoFactorLogin(challengeToken, code);
+
+    if (result.deletionPending) {
+      handleCancelChallenge();
+      setDeletionPending(result.deletionPending);
+    } else if (!result.success) {
+      setError(result.message || 'Invalid authentication code');
+    }
+
+    setLoading(false);
+  };
+
+  const handleCancelChallenge = () => {
+    setChallengeToken(null);
+    setCode('');
+    setError('');
+  };
+
+  const handleGoogleCredential = async (credential) => {
+    setError('');
+    setLoading(true);
+
+    const result = await googleLogin(credential);
+
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.deletionPending) {
+      setDeletionPending(result.deletionPending);
+    } else if (!result.success) {
+      setError(result.message || 'Google login failed. Please try again.');
+    }
+
+    setLoading(false);
+  };
+
+  const handleGoogleError = useCallback((message) => setError(message), []);
+
+  const handleRestore = async () => {
+    setError('');
+    setLoading(true);
+
+    const result = await cancelAccountDeletion(deletionPending.restoreToken);
+
+    if (!result.success) {
+      setError(result.message);
+    }
+
+    setLoading(false);
   };
 
+  const handleCancelRestore = () => {
+    setDeletionPending(null);
+    setError('');
+  };
+
+  if (deletionPending) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1>Restore Your Account?</h1>
+          <p>
+            Your account is scheduled for deletion on{' '}
+            {new Date(deletionPending.deletionScheduledFor).toLocaleDateString()}.
+            Restore it to keep your bookmarks and progress and continue signing in.
+          </p>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <button
+            type="button"
+            onClick={handleRestore}
+            className="btn btn-primary btn-block"
+            disabled={loading}
+          >
+            {loading ? 'Restoring...' : 'Restore my account'}
+          </button>
+
+          <p className="auth-footer">
+            <button type="button" className="auth-link-button" onClick={handleCancelRestore}>
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1>Two-Step Verification</h1>
+          <p>Enter the 6-digit code from your authenticator app, or one of your backup codes</p>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <form onSubmit={handleCodeSubmit}>
+            <div className="form-group">
+              <label htmlFor="code">Authentication code</label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                className="input"
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  setError('');
+                }}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                placeholder="123456"
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={loading}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="auth-footer">
+            <button type="button" className="auth-link-button" onClick={handleCancelChallenge}>
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
         <h1>Welcome Back!</h1>
         <p>Login to continue your learning journey</p>
 
+        {location.state?.message && !error && (
+          <div className="success-message">{location.state.message}</div>
+        )}
         {error && <div className="error-message">{error}</div>}
 
         <form onSubmit={handleSubmit}>
@@ -86,6 +241,10 @@ const Login = () => {
             />
           </div>
 
+          <p className="auth-forgot-link">
+            <Link to="/forgot-password">Forgot password?</Link>
+          </p>
+
           <button
             type="submit"
             className="btn btn-primary btn-block"
@@ -99,13 +258,23 @@ const Login = () => {
           <span>OR</span>
         </div>
 
+        <GoogleSignInButton
+          onCredential={handleGoogleCredential}
+          onError={handleGoogleError}
+        />
+
         <button
-          onClick={handleGoogleLogin}
-          className="btn btn-secondary btn-block"
+          type="button"
+          onClick={startGithubLogin}
+          className="btn btn-secondary btn-block auth-github-btn"
         >
-          Continue with Google
+          Continue with GitHub
         </button>
 
+        <Link to="/magic-link" className="btn btn-secondary btn-block auth-magic-link-btn">
+          Email me a sign-in link
+        </Link>
+
         <p className="auth-footer">
           Don't have an account? <Link to="/register">Register here</Link>
         </p>
@@ -0,0 +1,54 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const MagicLinkLogin = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { completeMagicLinkLogin } = useAuth();
+  const [error, setError] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Links work once, so never submit twice (e.g. StrictMode remounts)
+    if (requested.current) return;
+    requested.current = true;
+
+    completeMagicLinkLogin(token).then((result) => {
+      if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else if (result.deletionPending) {
+        navigate('/login', { replace: true, state: { deletionPending: result.deletionPending } });
+      } else if (result.success) {
+        navigate(result.user?.twoFactorSetupRequired ? '/security' : '/dashboard', { replace: true });
+      } else {
+        setError(result.message);
+      }
+    });
+  }, [token, completeMagicLinkLogin, navigate]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Signing In</h1>
+
+        {error ? (
+          <>
+            <div className="error-message">{error}</div>
+            <p className="auth-footer">
+              <Link to="/magic-link">Send me a new link</Link>
+            </p>
+          </>
+        ) : (
+          <>
+            <p>Signing you in...</p>
+            <div className="spinner"></div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MagicLinkLogin;
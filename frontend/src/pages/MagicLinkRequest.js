@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const MagicLinkRequest = () => {
+  const [formData, setFormData] = useState({ email: '', name: '' });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { requestMagicLink } = useAuth();
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    const result = await requestMagicLink(formData.email, formData.name);
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Sign In by Email</h1>
+        <p>We'll email you a link that signs you in. No password to remember.</p>
+
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              className="input"
+              value={formData.email}
+              onChange={handleChange}
+              required
+              placeholder="Enter your email"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="name">Your name (only if you are new here)</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              className="input"
+              value={formData.name}
+              onChange={handleChange}
+              maxLength={100}
+              placeholder="Enter your full name"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-block"
+            disabled={loading}
+          >
+            {loading ? 'Sending...' : 'Email Me a Sign-In Link'}
+          </button>
+        </form>
+
+        <p className="auth-footer">
+          Prefer a password? <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLinkRequest;
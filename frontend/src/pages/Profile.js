@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaUser, FaCamera } from 'react-icons/fa';
+import { useAuth } from '../context/AuthContext';
+import Avatar from '../components/Avatar';
+import './Profile.css';
+
+const BIO_MAX_LENGTH = 500;
+
+const GENDER_OPTIONS = [
+  { value: 'prefer-not-to-say', label: 'Prefer not to say' },
+  { value: 'female', label: 'Female' },
+  { value: 'male', label: 'Male' },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  bio: '',
+  location: '',
+  website: '',
+  dateOfBirth: '',
+  gender: 'prefer-not-to-say',
+  phone: ''
+};
+
+const toFormData = (profile) => ({
+  name: profile.name,
+  bio: profile.bio,
+  location: profile.location,
+  website: profile.website,
+  dateOfBirth: profile.dateOfBirth ? profile.dateOfBirth.slice(0, 10) : '',
+  gender: profile.gender,
+  phone: profile.phone
+});
+
+const Profile = () => {
+  const { getProfile, updateProfile, uploadAvatar, removeAvatar } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    getProfile().then((result) => {
+      if (result.success) {
+        setProfile(result.profile);
+        setFormData(toFormData(result.profile));
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+    });
+  }, [getProfile]);
+
+  const showResult = (result) => {
+    if (result.success) {
+      setProfile(result.profile);
+      setMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setSaving(true);
+
+    const result = await updateProfile(formData);
+    showResult(result);
+    if (result.success) {
+      setFormData(toFormData(result.profile));
+    }
+
+    setSaving(false);
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setMessage('');
+    setUploading(true);
+    showResult(await uploadAvatar(file));
+    setUploading(false);
+  };
+
+  const handleAvatarRemove = async () => {
+    setError('');
+    setMessage('');
+    showResult(await removeAvatar());
+  };
+
+  if (loading) {
+    return (
+      <div className="container" style={{ textAlign: 'center', padding: '50px' }}>
+        <div className="spinner"></div>
+        <p>Loading profile...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <div className="page-header">
+        <h1><FaUser /> My Profile</h1>
+        <p>Tell other learners a little about yourself</p>
+      </div>
+
+      <div className="profile-card">
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        {profile && (
+          <div className="profile-avatar">
+            <Avatar src={profile.avatar} name={profile.name} size={96} />
+            <div>
+              <div className="profile-email">{profile.email}</div>
+              <div className="profile-avatar-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => fileInput.current.click()}
+                  disabled={uploading}
+                >
+                  <FaCamera /> {uploading ? 'Uploading...' : 'Change photo'}
+                </button>
+                {profile.avatar && (
+                  <button type="button" className="btn btn-secondary" onClick={handleAvatarRemove}>
+                    Remove
+                  </button>
+                )}
+              </div>
+              <input
+                ref={fileInput}
+                type="file"
+                accept="image/jpeg,image/png,image/webp,image/gif"
+                onChange={handleAvatarChange}
+                hidden
+              />
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="profile-form">
+          <div className="form-group">
+            <label htmlFor="name">Name</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              className="input"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              maxLength={100}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bio">Bio</label>
+            <textarea
+              id="bio"
+              name="bio"
+              className="input"
+              value={formData.bio}
+              onChange={handleChange}
+              rows="4"
+              maxLength={BIO_MAX_LENGTH}
+            />
+            <div className="profile-counter">{formData.bio.length}/{BIO_MAX_LENGTH}</div>
+          </div>
+
+          <div className="profile-form-row">
+            <div className="form-group">
+              <label htmlFor="location">Location</label>
+              <input
+                type="text"
+                id="location"
+                name="location"
+                className="input"
+                value={formData.location}
+                onChange={handleChange}
+                maxLength={100}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="website">Website</label>
+              <input
+                type="text"
+                id="website"
+                name="website"
+                className="input"
+                value={formData.website}
+                onChange={handleChange}
+                placeholder="https://example.com"
+              />
+            </div>
+          </div>
+
+          <div className="profile-form-row">
+            <div className="form-group">
+              <label htmlFor="dateOfBirth">Date of birth</label>
+              <input
+                type="date"
+                id="dateOfBirth"
+                name="dateOfBirth"
+                className="input"
+                value={formData.dateOfBirth}
+                onChange={handleChange}
+                max={new Date().toISOString().slice(0, 10)}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="gender">Gender</label>
+              <select
+                id="gender"
+                name="gender"
+                className="input"
+                value={formData.gender}
+                onChange={handleChange}
+              >
+                {GENDER_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="phone">Phone</label>
+              <input
+                type="tel"
+                id="phone"
+                name="phone"
+                className="input"
+                value={formData.phone}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Profile'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
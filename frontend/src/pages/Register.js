@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import PasswordStrength from '../components/PasswordStrength';
 import './Auth.css';
 
 const Register = () => {
@@ -13,6 +14,7 @@ const Register = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [passwordFeedback, setPasswordFeedback] = useState(null);
   const { register, isAuthenticated } = useAuth();
   const navigate = useNavigate();
 
@@ -39,15 +41,9 @@ const Register = () => {
       return;
     }
 
-    if (formData.password.length < 8) {
-      setError('Password must be at least 8 characters');
-      return;
-    }
-
-    // Check password complexity
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/;
-    if (!passwordRegex.test(formData.password)) {
-      setError('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+    // The server checks again, but there is no point sending a password it will reject
+    if (passwordFeedback && !passwordFeedback.valid) {
+      setError(passwordFeedback.errors[0]);
       return;
     }
 
@@ -134,6 +130,12 @@ const Register = () => {
               required
               placeholder="Min 8 chars, 1 uppercase, 1 lowercase, 1 number"
             />
+            <PasswordStrength
+              password={formData.password}
+              email={formData.email}
+              name={formData.name}
+              onFeedback={setPasswordFeedback}
+            />
           </div>
 
           <div className="form-group">
@@ -159,6 +161,10 @@ const Register = () => {
           </button>
         </form>
 
+        <p className="auth-footer">
+          Rather not use a password? <Link to="/magic-link">Sign up with an email link</Link>
+        </p>
+
         <p className="auth-footer">
           Already have an account? <Link to="/login">Login here</Link>
         </p>
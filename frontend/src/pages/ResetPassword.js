@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { resetPassword } = useAuth();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await resetPassword(token, formData.password);
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Reset Password</h1>
+        <p>Choose a new password for your account</p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {message ? (
+          <>
+            <div className="success-message">{message}</div>
+            <Link to="/login" className="btn btn-primary btn-block">
+              Go to Login
+            </Link>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                className="input"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                placeholder="Min 8 chars, 1 uppercase, 1 lowercase, 1 number"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                className="input"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                placeholder="Confirm your new password"
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={loading}
+            >
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <p className="auth-footer">
+          <Link to="/forgot-password">Request a new link</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
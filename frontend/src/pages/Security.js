@@ -0,0 +1,690 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaShieldAlt, FaLaptop, FaKey, FaDatabase, FaHistory, FaLock } from 'react-icons/fa';
+import { useAuth } from '../context/AuthContext';
+import PasswordStrength from '../components/PasswordStrength';
+import './Security.css';
+
+const TOKEN_EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'No expiry' }
+];
+
+const SECURITY_EVENT_LABELS = {
+  login_success: 'Signed in',
+  login_failure: 'Failed sign-in attempt',
+  token_refresh: 'Session refreshed',
+  logout: 'Signed out',
+  password_change: 'Password changed',
+  password_reset: 'Password reset by email',
+  google_link: 'Google account linked',
+  github_link: 'GitHub account linked',
+  role_change: 'Role changed',
+  impersonation_start: 'An administrator viewed your account',
+  impersonation_stop: 'Administrator finished viewing your account'
+};
+
+// Failure reasons worth explaining; anything else shows as a plain failed attempt
+const FAILURE_REASON_LABELS = {
+  invalid_password: 'wrong password',
+  invalid_two_factor_code: 'wrong authentication code',
+  account_locked: 'account locked',
+  account_banned: 'account suspended'
+};
+
+const describeSecurityEvent = (event) => {
+  const label = SECURITY_EVENT_LABELS[event.event] || event.event;
+  const reason = FAILURE_REASON_LABELS[event.reason];
+  return reason ? `${label} (${reason})` : label;
+};
+
+const Security = () => {
+  const {
+    user,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getSecurityEvents,
+    getApiTokens,
+    createApiToken,
+    revokeApiToken,
+    exportAccountData,
+    deleteAccount,
+    changePassword
+  } = useAuth();
+  const navigate = useNavigate();
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsError, setSessionsError] = useState('');
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    const result = await getSessions();
+    if (result.success) {
+      setSessions(result.sessions);
+      setSessionsError('');
+    } else {
+      setSessionsError(result.message);
+    }
+    setSessionsLoading(false);
+  }, [getSessions]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const [securityEvents, setSecurityEvents] = useState([]);
+  const [eventsError, setEventsError] = useState('');
+
+  useEffect(() => {
+    getSecurityEvents().then((result) => {
+      if (result.success) {
+        // Refreshes happen every few minutes and would drown out everything else
+        setSecurityEvents(result.events.filter(event => event.event !== 'token_refresh'));
+      } else {
+        setEventsError(result.message);
+      }
+    });
+  }, [getSecurityEvents]);
+
+  const handleRevokeSession = async (session) => {
+    if (session.current && !window.confirm('This will sign you out on this device. Continue?')) {
+      return;
+    }
+    const result = await revokeSession(session.id);
+    if (!result.success) {
+      setSessionsError(result.message);
+    } else if (!session.current) {
+      fetchSessions();
+    }
+  };
+
+  const [apiTokens, setApiTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [tokenForm, setTokenForm] = useState({ name: '', scopes: [], expiresInDays: '90' });
+  const [newToken, setNewToken] = useState(null);
+  const [tokensError, setTokensError] = useState('');
+  const [deletion, setDeletion] = useState({ confirmEmail: '', password: '' });
+  const [accountError, setAccountError] = useState('');
+  const [accountLoading, setAccountLoading] = useState(false);
+
+  const fetchApiTokens = useCallback(async () => {
+    const result = await getApiTokens();
+    if (result.success) {
+      setApiTokens(result.tokens);
+      setAvailableScopes(result.availableScopes);
+      setTokensError('');
+    } else {
+      setTokensError(result.message);
+    }
+  }, [getApiTokens]);
+
+  useEffect(() => {
+    fetchApiTokens();
+  }, [fetchApiTokens]);
+
+  const handleTokenScopeToggle = (scope) => {
+    const { scopes } = tokenForm;
+    setTokenForm({
+      ...tokenForm,
+      scopes: scopes.includes(scope) ? scopes.filter(s => s !== scope) : [...scopes, scope]
+    });
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    setTokensError('');
+    const result = await createApiToken({
+      name: tokenForm.name,
+      scopes: tokenForm.scopes,
+      expiresInDays: tokenForm.expiresInDays ? Number(tokenForm.expiresInDays) : null
+    });
+    if (result.success) {
+      setNewToken(result.token);
+      setTokenForm({ name: '', scopes: [], expiresInDays: '90' });
+      fetchApiTokens();
+    } else {
+      setTokensError(result.message);
+    }
+  };
+
+  const handleRevokeToken = async (apiToken) => {
+    if (!window.confirm(`Revoke "${apiToken.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+    const result = await revokeApiToken(apiToken.id);
+    if (result.success) {
+      if (newToken?.id === apiToken.id) setNewToken(null);
+      fetchApiTokens();
+    } else {
+      setTokensError(result.message);
+    }
+  };
+
+  const handleExport = async () => {
+    setAccountError('');
+    const result = await exportAccountData();
+    if (!result.success) {
+      setAccountError(result.message);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? You can restore it by logging in during the grace period.')) {
+      return;
+    }
+
+    setAccountError('');
+    setAccountLoading(true);
+    const result = await deleteAccount(deletion);
+    setAccountLoading(false);
+
+    if (result.success) {
+      navigate('/login', { replace: true, state: { message: result.message } });
+    } else {
+      setAccountError(result.message);
+    }
+  };
+
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [passwordFeedback, setPasswordFeedback] = useState(null);
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState('');
+  const [passwordLoading, setPasswordLoading] = useState(false);
+
+  const handlePasswordFormChange = (e) => {
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+    setPasswordError('');
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordError('');
+    setPasswordMessage('');
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    // The server checks again, but there is no point sending a password it will reject
+    if (passwordFeedback && !passwordFeedback.valid) {
+      setPasswordError(passwordFeedback.errors[0]);
+      return;
+    }
+
+    setPasswordLoading(true);
+    const result = await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+    setPasswordLoading(false);
+
+    if (result.success) {
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordMessage(result.message);
+      // Every other session and API token is gone now
+      fetchSessions();
+      fetchApiTokens();
+    } else {
+      setPasswordError(result.message);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    const result = await revokeOtherSessions();
+    if (result.success) {
+      fetchSessions();
+    } else {
+      setSessionsError(result.message);
+    }
+  };
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  // Run a 2FA action, showing its message or error
+  const runAction = async (action, onSuccess) => {
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    const result = await action();
+
+    if (result.success) {
+      resetForm();
+      setMessage(result.message || '');
+      onSuccess?.(result);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleStartSetup = () => {
+    setBackupCodes(null);
+    runAction(setupTwoFactor, (result) => setSetup(result.data));
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runAction(() => enableTwoFactor(code), (result) => {
+      setSetup(null);
+      setBackupCodes(result.backupCodes);
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    runAction(() => regenerateBackupCodes(code), (result) => setBackupCodes(result.backupCodes));
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    runAction(() => disableTwoFactor(code, password), () => setBackupCodes(null));
+  };
+
+  const renderCodeInput = (id) => (
+    <div className="form-group">
+      <label htmlFor={id}>Authentication code</label>
+      <input
+        type="text"
+        id={id}
+        className="input"
+        value={code}
+        onChange={(e) => {
+          setCode(e.target.value);
+          setError('');
+        }}
+        required
+        autoComplete="one-time-code"
+        placeholder="123456"
+      />
+    </div>
+  );
+
+  return (
+    <div className="container">
+      <div className="page-header">
+        <h1>🔒 Security</h1>
+        <p>Protect your account</p>
+      </div>
+
+      <div className="security-section">
+        <h2><FaLock /> Password</h2>
+
+        {passwordError && <div className="error-message">{passwordError}</div>}
+        {passwordMessage && <div className="success-message">{passwordMessage}</div>}
+
+        <form onSubmit={handleChangePassword} className="security-form">
+          <h3>Change your password</h3>
+          <p>Changing it signs you out on every other device and revokes your API tokens.</p>
+          <div className="form-group">
+            <label htmlFor="current-password">Current password</label>
+            <input
+              type="password"
+              id="current-password"
+              name="currentPassword"
+              className="input"
+              value={passwordForm.currentPassword}
+              onChange={handlePasswordFormChange}
+              required
+              autoComplete="current-password"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="new-password">New password</label>
+            <input
+              type="password"
+              id="new-password"
+              name="newPassword"
+              className="input"
+              value={passwordForm.newPassword}
+              onChange={handlePasswordFormChange}
+              required
+              autoComplete="new-password"
+              placeholder="Min 8 chars, 1 uppercase, 1 lowercase, 1 number"
+            />
+            <PasswordStrength
+              password={passwordForm.newPassword}
+              email={user?.email}
+              name={user?.name}
+              onFeedback={setPasswordFeedback}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirm-password">Confirm new password</label>
+            <input
+              type="password"
+              id="confirm-password"
+              name="confirmPassword"
+              className="input"
+              value={passwordForm.confirmPassword}
+              onChange={handlePasswordFormChange}
+              required
+              autoComplete="new-password"
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={passwordLoading}>
+            {passwordLoading ? 'Changing...' : 'Change password'}
+          </button>
+        </form>
+      </div>
+
+      <div className="security-section">
+        <h2><FaShieldAlt /> Two-factor authentication</h2>
+
+        {user?.twoFactorSetupRequired && (
+          <div className="error-message">
+            Your role requires two-factor authentication. Set it up to continue using your account.
+          </div>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        {backupCodes && (
+          <div className="security-backup-codes">
+            <p>
+              Save these backup codes somewhere safe. Each one can be used once to sign in
+              if you lose access to your authenticator app. They will not be shown again.
+            </p>
+            <ul>
+              {backupCodes.map((backupCode) => (
+                <li key={backupCode}><code>{backupCode}</code></li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {user?.twoFactorEnabled ? (
+          <>
+            <p className="security-status security-status-on">Two-factor authentication is on.</p>
+
+            <form onSubmit={handleRegenerate} className="security-form">
+              <h3>Generate new backup codes</h3>
+              {renderCodeInput('code')}
+              <button type="submit" className="btn btn-secondary" disabled={loading}>
+                Generate new codes
+              </button>
+            </form>
+
+            <form onSubmit={handleDisable} className="security-form">
+              <h3>Turn off two-factor authentication</h3>
+              <div className="form-group">
+                <label htmlFor="password">Current password</label>
+                <input
+                  type="password"
+                  id="password"
+                  className="input"
+                  value={password}
+                  onChange={(e) => {
+                    setPassword(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="Leave empty if you sign in with Google"
+                />
+              </div>
+              {renderCodeInput('disable-code')}
+              <button type="submit" className="btn btn-danger" disabled={loading}>
+                Turn off
+              </button>
+            </form>
+          </>
+        ) : setup ? (
+          <form onSubmit={handleEnable} className="security-form">
+            <p>
+              Add this account to your authenticator app (Google Authenticator, Authy, 1Password…)
+              by opening the setup link on your phone or entering the key manually.
+            </p>
+            <p>
+              <a href={setup.otpauthUri} className="security-otpauth-link">Open in authenticator app</a>
+            </p>
+            <p className="security-secret">
+              Setup key: <code>{setup.secret}</code>
+            </p>
+            <p>Then enter the 6-digit code the app shows to finish.</p>
+            {renderCodeInput('setup-code')}
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Verifying...' : 'Enable two-factor authentication'}
+            </button>
+          </form>
+        ) : (
+          <>
+            <p className="security-status">
+              Add a second step to sign-in with a code from an authenticator app.
+            </p>
+            <button onClick={handleStartSetup} className="btn btn-primary" disabled={loading}>
+              Set up two-factor authentication
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="security-section">
+        <h2><FaLaptop /> Where you're signed in</h2>
+
+        {sessionsError && <div className="error-message">{sessionsError}</div>}
+
+        {sessionsLoading ? (
+          <div className="spinner"></div>
+        ) : (
+          <>
+            <ul className="security-sessions">
+              {sessions.map((session) => (
+                <li key={session.id} className="security-session">
+                  <div>
+                    <div className="security-session-device">
+                      {session.device}
+                      {session.current && <span className="security-session-current">This device</span>}
+                    </div>
+                    <div className="security-session-meta">
+                      {session.ip || 'Unknown location'} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+                      {' '}· Signed in {new Date(session.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRevokeSession(session)}
+                    className="btn btn-secondary security-session-btn"
+                  >
+                    Sign out
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {sessions.length > 1 && (
+              <button onClick={handleRevokeOthers} className="btn btn-danger">
+                Sign out everywhere else
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="security-section">
+        <h2><FaHistory /> Recent security activity</h2>
+
+        {eventsError && <div className="error-message">{eventsError}</div>}
+
+        {securityEvents.length === 0 && !eventsError ? (
+          <p>No recent activity.</p>
+        ) : (
+          <ul className="security-sessions">
+            {securityEvents.map((event) => (
+              <li
+                key={event.id}
+                className={`security-session ${event.event === 'login_failure' ? 'security-event-failure' : ''}`}
+              >
+                <div>
+                  <div className="security-session-device">
+                    {describeSecurityEvent(event)}
+                    {event.byAdmin && <span className="security-session-current">By an administrator</span>}
+                  </div>
+                  <div className="security-session-meta">
+                    {event.device} · {event.ip || 'Unknown location'} · {new Date(event.createdAt).toLocaleString()}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="security-section">
+        <h2><FaKey /> API tokens</h2>
+        <p>Personal tokens let scripts call the API as you. Send them as <code>Authorization: Bearer &lt;token&gt;</code>.</p>
+
+        {tokensError && <div className="error-message">{tokensError}</div>}
+
+        {newToken && (
+          <div className="security-backup-codes">
+            <p>Copy your new token now. It will not be shown again.</p>
+            <code className="security-new-token">{newToken.token}</code>
+          </div>
+        )}
+
+        {apiTokens.length > 0 && (
+          <ul className="security-sessions">
+            {apiTokens.map((apiToken) => (
+              <li key={apiToken.id} className="security-session">
+                <div>
+                  <div className="security-session-device">
+                    {apiToken.name} <code>{apiToken.tokenPreview}…</code>
+                    {apiToken.expired && <span className="security-token-expired">Expired</span>}
+                  </div>
+                  <div className="security-session-meta">{apiToken.scopes.join(', ')}</div>
+                  <div className="security-session-meta">
+                    Last used {apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).toLocaleString() : 'never'}
+                    {' '}· {apiToken.expiresAt
+                      ? `Expires ${new Date(apiToken.expiresAt).toLocaleDateString()}`
+                      : 'Never expires'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevokeToken(apiToken)}
+                  className="btn btn-secondary security-session-btn"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreateToken} className="security-form">
+          <h3>Create a token</h3>
+          <div className="form-group">
+            <label htmlFor="token-name">Name</label>
+            <input
+              type="text"
+              id="token-name"
+              className="input"
+              value={tokenForm.name}
+              onChange={(e) => setTokenForm({ ...tokenForm, name: e.target.value })}
+              required
+              maxLength={100}
+              placeholder="e.g. Resource import script"
+            />
+          </div>
+          <div className="form-group">
+            <label>Scopes</label>
+            <div className="security-scopes">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="security-scope">
+                  <input
+                    type="checkbox"
+                    checked={tokenForm.scopes.includes(scope)}
+                    onChange={() => handleTokenScopeToggle(scope)}
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="token-expiry">Expiry</label>
+            <select
+              id="token-expiry"
+              className="input"
+              value={tokenForm.expiresInDays}
+              onChange={(e) => setTokenForm({ ...tokenForm, expiresInDays: e.target.value })}
+            >
+              {TOKEN_EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={tokenForm.scopes.length === 0}
+          >
+            Create token
+          </button>
+        </form>
+      </div>
+
+      <div className="security-section">
+        <h2><FaDatabase /> Your data</h2>
+        <p>Download a copy of your profile, bookmarks and notes, learning progress, achievements and activity.</p>
+
+        {accountError && <div className="error-message">{accountError}</div>}
+
+        <button onClick={handleExport} className="btn btn-secondary">
+          Download my data
+        </button>
+
+        <form onSubmit={handleDeleteAccount} className="security-form">
+          <h3>Delete account</h3>
+          <p>
+            You will be signed out everywhere. Log in again during the grace period to restore your
+            account; after that, your personal data is erased for good.
+          </p>
+          <div className="form-group">
+            <label htmlFor="delete-email">Type your email address to confirm</label>
+            <input
+              type="email"
+              id="delete-email"
+              className="input"
+              value={deletion.confirmEmail}
+              onChange={(e) => setDeletion({ ...deletion, confirmEmail: e.target.value })}
+              required
+              placeholder={user?.email}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="delete-password">Current password</label>
+            <input
+              type="password"
+              id="delete-password"
+              className="input"
+              value={deletion.password}
+              onChange={(e) => setDeletion({ ...deletion, password: e.target.value })}
+              placeholder="Leave empty if you sign in with Google or GitHub"
+            />
+          </div>
+          <button type="submit" className="btn btn-danger" disabled={accountLoading}>
+            {accountLoading ? 'Deleting...' : 'Delete my account'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Security;
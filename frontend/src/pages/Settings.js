@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { FaCog, FaPalette, FaGraduationCap, FaEnvelope } from 'react-icons/fa';
+import { useAuth } from '../context/AuthContext';
+import './Settings.css';
+
+const THEME_OPTIONS = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'auto', label: 'Match my device' }
+];
+
+const DENSITY_OPTIONS = [
+  { value: 'comfortable', label: 'Comfortable' },
+  { value: 'compact', label: 'Compact' }
+];
+
+const LEARNING_STYLE_OPTIONS = [
+  { value: 'visual', label: 'Visual' },
+  { value: 'auditory', label: 'Auditory' },
+  { value: 'reading', label: 'Reading & writing' },
+  { value: 'kinesthetic', label: 'Hands-on' },
+  { value: 'mixed', label: 'A mix of everything' }
+];
+
+const NOTIFICATION_OPTIONS = [
+  { key: 'newResources', label: 'New resources for skills I follow' },
+  { key: 'weeklyDigest', label: 'Weekly learning digest' },
+  { key: 'achievements', label: 'Achievements and streak milestones' },
+  { key: 'recommendations', label: 'Recommended skills' }
+];
+
+const toFormData = (preferences) => ({
+  ...preferences,
+  preferredLanguages: preferences.preferredLanguages.join(', ')
+});
+
+const Settings = () => {
+  const { getPreferences, updatePreferences } = useAuth();
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    getPreferences().then((result) => {
+      if (result.success) {
+        setFormData(toFormData(result.preferences));
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+    });
+  }, [getPreferences]);
+
+  const updateField = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    setError('');
+    setMessage('');
+  };
+
+  const handleNotificationChange = (key) => {
+    updateField('emailNotifications', {
+      ...formData.emailNotifications,
+      [key]: !formData.emailNotifications[key]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setSaving(true);
+
+    const result = await updatePreferences({
+      theme: formData.theme,
+      displayDensity: formData.displayDensity,
+      learningStyle: formData.learningStyle,
+      preferredLanguages: formData.preferredLanguages
+        .split(',')
+        .map(language => language.trim())
+        .filter(Boolean),
+      emailNotifications: formData.emailNotifications
+    });
+
+    if (result.success) {
+      setFormData(toFormData(result.preferences));
+      setMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="container" style={{ textAlign: 'center', padding: '50px' }}>
+        <div className="spinner"></div>
+        <p>Loading settings...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <div className="page-header">
+        <h1><FaCog /> Settings</h1>
+        <p>Choose how the platform looks and what it sends you</p>
+      </div>
+
+      <div className="settings-messages">
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+      </div>
+
+      {formData && (
+        <form onSubmit={handleSubmit}>
+          <div className="settings-section">
+            <h2><FaPalette /> Appearance</h2>
+
+            <fieldset className="settings-group">
+              <legend>Theme</legend>
+              <div className="settings-options">
+                {THEME_OPTIONS.map((option) => (
+                  <label key={option.value} className="settings-option">
+                    <input
+                      type="radio"
+                      name="theme"
+                      value={option.value}
+                      checked={formData.theme === option.value}
+                      onChange={() => updateField('theme', option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <fieldset className="settings-group">
+              <legend>Display density</legend>
+              <div className="settings-options">
+                {DENSITY_OPTIONS.map((option) => (
+                  <label key={option.value} className="settings-option">
+                    <input
+                      type="radio"
+                      name="displayDensity"
+                      value={option.value}
+                      checked={formData.displayDensity === option.value}
+                      onChange={() => updateField('displayDensity', option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          </div>
+
+          <div className="settings-section">
+            <h2><FaGraduationCap /> Learning</h2>
+
+            <div className="form-group">
+              <label htmlFor="learningStyle">How do you learn best?</label>
+              <select
+                id="learningStyle"
+                className="input"
+                value={formData.learningStyle}
+                onChange={(e) => updateField('learningStyle', e.target.value)}
+              >
+                {LEARNING_STYLE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="preferredLanguages">Preferred languages</label>
+              <input
+                type="text"
+                id="preferredLanguages"
+                className="input"
+                value={formData.preferredLanguages}
+                onChange={(e) => updateField('preferredLanguages', e.target.value)}
+                placeholder="English, Spanish"
+              />
+            </div>
+
+            <p className="settings-hint">
+              Time zone: <strong>{formData.timezone}</strong> (taken from your browser when you sign in)
+            </p>
+          </div>
+
+          <div className="settings-section">
+            <h2><FaEnvelope /> Email notifications</h2>
+            {NOTIFICATION_OPTIONS.map((option) => (
+              <label key={option.key} className="settings-option settings-toggle">
+                <input
+                  type="checkbox"
+                  checked={formData.emailNotifications[option.key]}
+                  onChange={() => handleNotificationChange(option.key)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="settings-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Settings'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Settings;
@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { useAuth } from '../context/AuthContext';
-import { FaBookmark, FaExternalLinkAlt } from 'react-icons/fa';
+import { useAuth, getAccessToken } from '../context/AuthContext';
+import SkillRoadmap from '../components/SkillRoadmap';
+import { FaBookmark, FaExternalLinkAlt, FaLock, FaPlay, FaStop } from 'react-icons/fa';
 import './SkillDetail.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
@@ -19,6 +20,15 @@ const SkillDetail = () => {
   const [error, setError] = useState(null);
   const [learningType, setLearningType] = useState(null);
   const [bookmarkedIds, setBookmarkedIds] = useState(new Set());
+  // The user's progress entry for this skill; null when not enrolled
+  const [progress, setProgress] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [paths, setPaths] = useState([]);
+  const [selectedLevel, setSelectedLevel] = useState(null);
+  const [roadmap, setRoadmap] = useState([]);
+  // The study session being timed on this page, with the server's heartbeat interval
+  const [studySession, setStudySession] = useState(null);
+  const studySessionIdRef = useRef(null);
 
   // Create axios instance with auth headers
   const axiosInstance = useMemo(() => {
@@ -28,7 +38,7 @@ const SkillDetail = () => {
     });
 
     instance.interceptors.request.use((config) => {
-      const token = localStorage.getItem('token');
+      const token = getAccessToken();
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
       }
@@ -100,6 +110,97 @@ const SkillDetail = () => {
     }
   }, [isAuthenticated, axiosInstance]);
 
+  // Fetch the user's progress on this skill
+  const fetchProgress = useCallback(async () => {
+    if (!isAuthenticated || !id) return;
+
+    try {
+      const response = await axiosInstance.get('/users/me/progress');
+      const entry = response.data?.data?.skills?.find(p => (p.skill?._id || p.skill) === id);
+      setProgress(entry || null);
+    } catch (error) {
+      console.error('Error fetching progress:', error);
+      // Progress is non-critical, the resources still show
+    }
+  }, [id, isAuthenticated, axiosInstance]);
+
+  // Fetch the skill's learning paths with the user's progress on each step
+  const fetchPaths = useCallback(async () => {
+    if (!isAuthenticated || !id) return;
+
+    try {
+      const response = await axiosInstance.get(`/skills/${id}/paths`);
+      setPaths(response.data?.data || []);
+    } catch (error) {
+      console.error('Error fetching learning paths:', error);
+      setPaths([]);
+    }
+  }, [id, isAuthenticated, axiosInstance]);
+
+  // Fetch the prerequisite skills leading up to this one
+  const fetchRoadmap = useCallback(async () => {
+    if (!isAuthenticated || !id) return;
+
+    try {
+      const response = await axiosInstance.get(`/skills/${id}/roadmap`);
+      setRoadmap(response.data?.data || []);
+    } catch (error) {
+      console.error('Error fetching roadmap:', error);
+      setRoadmap([]);
+    }
+  }, [id, isAuthenticated, axiosInstance]);
+
+  const handleEnroll = useCallback(async () => {
+    try {
+      setEnrolling(true);
+      const response = await axiosInstance.post(`/skills/${id}/enroll`);
+      setProgress(response.data.data);
+    } catch (error) {
+      console.error('Error enrolling:', error);
+      alert(error.response?.data?.message || 'Failed to enroll');
+    } finally {
+      setEnrolling(false);
+    }
+  }, [id, axiosInstance]);
+
+  // Mark a resource as completed or not
+  const handleCompletionToggle = useCallback(async (resourceId, completed) => {
+    try {
+      const response = completed
+        ? await axiosInstance.post(`/resources/${resourceId}/complete`)
+        : await axiosInstance.delete(`/resources/${resourceId}/complete`);
+      setProgress(response.data.data.progress);
+      // Completing a step may unlock the next one
+      fetchPaths();
+      fetchRoadmap();
+    } catch (error) {
+      console.error('Error updating completion:', error);
+      alert(error.response?.data?.message || 'Failed to update progress');
+    }
+  }, [axiosInstance, fetchPaths, fetchRoadmap]);
+
+  // Start timing a resource, or stop the one being timed
+  const handleStudyToggle = useCallback(async (resourceId) => {
+    try {
+      if (studySession?.resource === resourceId) {
+        studySessionIdRef.current = null;
+        setStudySession(null);
+        await axiosInstance.post(`/study-sessions/${studySession._id}/end`);
+        fetchProgress();
+        return;
+      }
+
+      // Starting a session ends any other one on the server
+      const response = await axiosInstance.post('/study-sessions', { resourceId });
+      const { session, heartbeatInterval } = response.data.data;
+      studySessionIdRef.current = session._id;
+      setStudySession({ ...session, heartbeatInterval });
+    } catch (error) {
+      console.error('Error updating study session:', error);
+      alert(error.response?.data?.message || 'Failed to update study session');
+    }
+  }, [studySession, axiosInstance, fetchProgress]);
+
   // Toggle bookmark status
   const handleBookmark = useCallback(async (resourceId) => {
     if (!isAuthenticated) {
@@ -185,6 +286,70 @@ const SkillDetail = () => {
     }
   }, [isAuthenticated, fetchBookmarks]);
 
+  // Fetch progress and learning paths when authenticated
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchProgress();
+      fetchPaths();
+      fetchRoadmap();
+    }
+  }, [isAuthenticated, fetchProgress, fetchPaths, fetchRoadmap]);
+
+  // Keep the study session open while the page is open, even in a background tab
+  const studySessionId = studySession?._id;
+  const heartbeatInterval = studySession?.heartbeatInterval;
+  useEffect(() => {
+    if (!studySessionId) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await axiosInstance.post(`/study-sessions/${studySessionId}/heartbeat`);
+        const { session } = response.data.data;
+        setStudySession(prev => prev && prev._id === session._id ? { ...prev, ...session } : prev);
+      } catch (error) {
+        // The session ended elsewhere or timed out, e.g. after the computer slept
+        if ([404, 409, 410].includes(error.response?.status)) {
+          studySessionIdRef.current = null;
+          setStudySession(prev => prev && prev._id === studySessionId ? null : prev);
+        }
+      }
+    }, heartbeatInterval * 1000);
+
+    return () => clearInterval(timer);
+  }, [studySessionId, heartbeatInterval, axiosInstance]);
+
+  // End the study session when the user leaves the page or closes the tab.
+  // keepalive lets the request finish while the page unloads.
+  useEffect(() => {
+    const endStudySession = () => {
+      const sessionId = studySessionIdRef.current;
+      if (!sessionId) return;
+      studySessionIdRef.current = null;
+
+      const token = getAccessToken();
+      fetch(`${API_URL}/study-sessions/${sessionId}/end`, {
+        method: 'POST',
+        keepalive: true,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      }).catch(() => {});
+    };
+
+    window.addEventListener('pagehide', endStudySession);
+    return () => {
+      window.removeEventListener('pagehide', endStudySession);
+      endStudySession();
+    };
+  }, []);
+
+  // Show the first path until the learner picks a level
+  const selectedPath = useMemo(() => {
+    return paths.find(path => path.level === selectedLevel) || paths[0] || null;
+  }, [paths, selectedLevel]);
+
+  const completedIds = useMemo(() => {
+    return new Set((progress?.completedResources || []).map(String));
+  }, [progress]);
+
   // Determine if learning type selector should be shown
   const showLearningTypeSelector = useMemo(() => {
     return skill?.category === 'students';
@@ -259,8 +424,97 @@ const SkillDetail = () => {
             {skill.resources.length} {skill.resources.length === 1 ? 'resource' : 'resources'} available
           </p>
         )}
+
+        {isAuthenticated && (progress ? (
+          <div className="skill-progress">
+            <div className="skill-progress-label">
+              <span>✅ Enrolled</span>
+              <span>
+                {progress.progressPercentage}% complete
+                {progress.timeSpent > 0 && ` · ${progress.timeSpent} min studied`}
+              </span>
+            </div>
+            <div className="skill-progress-bar">
+              <div className="skill-progress-fill" style={{ width: `${progress.progressPercentage}%` }} />
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={handleEnroll}
+            className="btn btn-primary"
+            style={{ marginTop: '16px' }}
+            disabled={enrolling}
+          >
+            {enrolling ? 'Enrolling...' : 'Enroll in this skill'}
+          </button>
+        ))}
       </div>
 
+      {roadmap.length > 1 && (
+        <SkillRoadmap roadmap={roadmap} currentSkillId={id} />
+      )}
+
+      {selectedPath && (
+        <div className="learning-path">
+          <div className="learning-path-header">
+            <h2>🧭 {selectedPath.title}</h2>
+            <span>{selectedPath.completedSteps}/{selectedPath.totalSteps} steps done</span>
+          </div>
+          {selectedPath.description && <p>{selectedPath.description}</p>}
+
+          {paths.length > 1 && (
+            <div className="learning-path-levels" role="group" aria-label="Path level">
+              {paths.map((path) => (
+                <button
+                  key={path._id}
+                  className={`learning-path-level ${path._id === selectedPath._id ? 'active' : ''}`}
+                  onClick={() => setSelectedLevel(path.level)}
+                  aria-pressed={path._id === selectedPath._id}
+                >
+                  {path.level.charAt(0).toUpperCase() + path.level.slice(1)}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {selectedPath.modules.map((module, moduleIndex) => (
+            <div key={module._id} className="learning-path-module">
+              <h3>Module {moduleIndex + 1}: {module.title}</h3>
+              {module.description && <p>{module.description}</p>}
+              <ol className="learning-path-steps">
+                {module.steps.map((step) => (
+                  <li
+                    key={step.resource._id}
+                    className={`learning-path-step ${step.completed ? 'completed' : ''} ${step.unlocked ? '' : 'locked'}`}
+                  >
+                    {step.unlocked ? (
+                      <input
+                        type="checkbox"
+                        checked={step.completed}
+                        onChange={(e) => handleCompletionToggle(step.resource._id, e.target.checked)}
+                        aria-label={`Mark ${step.resource.title} as completed`}
+                      />
+                    ) : (
+                      <FaLock title="Complete the previous steps first" />
+                    )}
+                    <span className="learning-path-step-title">{step.resource.title}</span>
+                    {step.unlocked && step.resource.url && (
+                      <button
+                        onClick={() => handleResourceClick(step.resource.url)}
+                        className="btn btn-secondary learning-path-open"
+                        aria-label={`Open ${step.resource.title} in new tab`}
+                      >
+                        Open <FaExternalLinkAlt />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+        </div>
+      )}
+
       {showLearningTypeSelector && (
         <div className="learning-type-selector" role="group" aria-label="Learning type filter">
           <button
@@ -363,6 +617,32 @@ const SkillDetail = () => {
               >
                 Open Resource <FaExternalLinkAlt style={{ marginLeft:  '8px' }} />
               </button>
+
+              {isAuthenticated && (
+                <button
+                  onClick={() => handleStudyToggle(resource._id)}
+                  className={`btn btn-secondary study-toggle ${studySession?.resource === resource._id ? 'studying' : ''}`}
+                  style={{ marginTop: '16px', marginLeft: '8px' }}
+                  title="Time spent counts towards your study time while this page stays open"
+                >
+                  {studySession?.resource === resource._id ? (
+                    <><FaStop /> Stop studying ({studySession.minutes} min)</>
+                  ) : (
+                    <><FaPlay /> Start studying</>
+                  )}
+                </button>
+              )}
+
+              {isAuthenticated && (
+                <label className="resource-complete">
+                  <input
+                    type="checkbox"
+                    checked={completedIds.has(resource._id)}
+                    onChange={(e) => handleCompletionToggle(resource._id, e.target.checked)}
+                  />
+                  I've completed this
+                </label>
+              )}
             </div>
           ))}
         </div>
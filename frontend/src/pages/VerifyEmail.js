@@ -0,0 +1,48 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const [result, setResult] = useState(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Verification tokens are single-use, so never submit twice (e.g. StrictMode remounts)
+    if (requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token).then(setResult);
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Email Verification</h1>
+
+        {!result ? (
+          <>
+            <p>Confirming your email address...</p>
+            <div className="spinner"></div>
+          </>
+        ) : (
+          <div className={result.success ? 'success-message' : 'error-message'}>
+            {result.message}
+          </div>
+        )}
+
+        {result && (
+          <p className="auth-footer">
+            {isAuthenticated
+              ? <Link to="/dashboard">Go to Dashboard</Link>
+              : <Link to="/login">Go to Login</Link>}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;